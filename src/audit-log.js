@@ -0,0 +1,288 @@
+/**
+ * Audit Log
+ * Append-only JSONL record of every mutating tool call: arguments (with
+ * secrets redacted), the ftrack operations sent, result IDs, errors and
+ * the inverse operations needed to undo it
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { appendFile, mkdir, access } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { createInterface } from 'node:readline';
+import { FtrackApiError } from './errors.js';
+import { isMutatingOperation, fetchCurrentValues } from './dry-run.js';
+import { buildUndo } from './undo.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_AUDIT_LOG_PATH = join(homedir(), '.ftrack-mcp', 'audit.jsonl');
+
+const SECRET_KEY_PATTERN = /(password|secret|token|credential|^api_key$|^key$)/i;
+const REDACTED = '[REDACTED]';
+
+/**
+ * Deep-copy a value with secret-looking keys replaced
+ */
+export function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY_PATTERN.test(key) ? REDACTED : redact(item),
+    ]));
+  }
+  return value;
+}
+
+/**
+ * IDs of the entities an operation touched, taken from its key or result
+ */
+function resultIds(operation, result) {
+  if (operation.entity_key?.length) {
+    return [operation.entity_key[0]];
+  }
+  const id = result?.data?.id;
+  return id ? [id] : [];
+}
+
+/**
+ * Recover the structured error from a tool error response
+ */
+function parseErrorText(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return { message: text };
+  }
+}
+
+export class AuditLog {
+  /**
+   * @param {object} options - { path } of the JSONL file, or { enabled: false }
+   */
+  constructor({ path = DEFAULT_AUDIT_LOG_PATH, enabled = true } = {}) {
+    this.path = path;
+    this.enabled = enabled;
+    this.context = new AsyncLocalStorage();
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Build an audit log from the audit_log setting, a file path or "false" to disable it
+   */
+  static fromConfig(config) {
+    const setting = config.audit_log;
+    if (['false', '0', 'no', 'off'].includes(String(setting).toLowerCase())) {
+      return new AuditLog({ enabled: false });
+    }
+    return new AuditLog({ path: setting || DEFAULT_AUDIT_LOG_PATH });
+  }
+
+  /**
+   * Observe a client so requests made during record() are captured, along
+   * with the values of updated attributes before they are overwritten
+   */
+  attach(client) {
+    client.beforeSend(async (operations) => {
+      const store = this.context.getStore();
+      if (store && operations.some((operation) => operation.action === 'update')) {
+        // A failed snapshot must not block the write: without previous
+        // values its updates are recorded as irreversible
+        try {
+          store.snapshots.set(operations, await fetchCurrentValues(client, operations));
+        } catch (error) {
+          logger.warn(`Could not read current values for the audit log, the change cannot be undone: ${error.message}`);
+        }
+      }
+    });
+    client.observe((event) => {
+      const store = this.context.getStore();
+      if (store) {
+        store.requests.push(event);
+      }
+    });
+  }
+
+  /**
+   * Add fields to the entry of the tool call currently being recorded
+   */
+  annotate(fields) {
+    const store = this.context.getStore();
+    if (store) {
+      Object.assign(store.annotations, fields);
+    }
+  }
+
+  /**
+   * Run a tool handler and append an entry for it. Calls that neither sent
+   * a mutating operation nor failed (dry runs, confirmation requests) are
+   * not logged.
+   * @param {string} tool - Tool name
+   * @param {object} args - Tool arguments
+   * @param {object} context - { user, workspace } the call runs as and in
+   * @param {Function} fn - Handler to run; its result is returned unchanged
+   */
+  async record(tool, args, { user, workspace = null }, fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    const store = { requests: [], snapshots: new Map(), annotations: {} };
+    const started = Date.now();
+    const result = await this.context.run(store, fn);
+
+    const operations = [];
+    const ids = [];
+    const undo = [];
+    const irreversible = [];
+    let error = null;
+    for (const request of store.requests) {
+      const sent = [];
+      const results = [];
+      const previous = [];
+      const snapshot = store.snapshots.get(request.operations);
+      request.operations.forEach((operation, i) => {
+        if (!isMutatingOperation(operation)) return;
+        operations.push(redact(operation));
+        ids.push(...resultIds(operation, request.results?.[i]));
+        sent.push(operation);
+        results.push(request.results?.[i]);
+        previous.push(snapshot?.get(i) ?? null);
+      });
+      if (request.error) {
+        // Failed lookups (such as snapshots) surface through the tool result
+        if (sent.length === 0) continue;
+        error = request.error instanceof FtrackApiError
+          ? redact(request.error.toJSON())
+          : { error: request.error.name, message: request.error.message };
+        continue;
+      }
+
+      const plan = buildUndo(sent, results, previous);
+      const reversible = [];
+      for (const inverse of plan.undo) {
+        // Values that would be redacted in the log cannot be restored
+        if (JSON.stringify(redact(inverse)) === JSON.stringify(inverse)) {
+          reversible.push(inverse);
+        } else {
+          irreversible.push({ action: inverse.action, entity_type: inverse.entity_type, entity_key: inverse.entity_key });
+        }
+      }
+      // Later requests are undone first
+      undo.unshift(...reversible);
+      irreversible.push(...plan.irreversible);
+    }
+    if (!error && result?.isError) {
+      error = parseErrorText(result.content?.[0]?.text);
+    }
+
+    if (operations.length > 0 || error) {
+      await this.append({
+        id: randomUUID(),
+        timestamp: new Date(started).toISOString(),
+        duration_ms: Date.now() - started,
+        user,
+        workspace,
+        tool,
+        arguments: redact(args),
+        operations,
+        result_ids: [...new Set(ids)],
+        error,
+        undo: error ? [] : undo,
+        irreversible: error ? [] : irreversible,
+        ...store.annotations,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Append one entry; writes are serialized so lines never interleave
+   */
+  append(entry) {
+    this.writes = this.writes
+      .then(async () => {
+        await mkdir(dirname(this.path), { recursive: true });
+        await appendFile(this.path, `${JSON.stringify(entry)}\n`, 'utf8');
+      })
+      .catch((error) => {
+        logger.error(`Failed to write audit log entry to ${this.path}:`, error.message);
+      });
+    return this.writes;
+  }
+
+  /**
+   * Iterate over all entries, oldest first, with their raw lines
+   */
+  async* entries() {
+    await this.writes;
+    try {
+      await access(this.path);
+    } catch {
+      return;
+    }
+
+    const lines = createInterface({ input: createReadStream(this.path, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      yield { entry, line };
+    }
+  }
+
+  /**
+   * Read entries, newest first
+   * @param {object} filters - { tool, entityId, since, until, limit }, and
+   *   user to only read the entries of one ftrack user
+   */
+  async query({ tool = null, entityId = null, user = null, since = null, until = null, limit = 50 } = {}) {
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+    const matches = [];
+
+    for await (const { entry, line } of this.entries()) {
+      const time = Date.parse(entry.timestamp);
+      if (tool && entry.tool !== tool) continue;
+      if (user && entry.user !== user) continue;
+      if (sinceTime !== null && time < sinceTime) continue;
+      if (untilTime !== null && time > untilTime) continue;
+      if (entityId && !line.includes(JSON.stringify(entityId))) continue;
+      matches.push(entry);
+    }
+
+    return matches.reverse().slice(0, limit);
+  }
+
+  /**
+   * Find an entry by ID
+   * @returns {Promise<object|null>}
+   */
+  async get(id) {
+    for await (const { entry } of this.entries()) {
+      if (entry.id === id) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Find the entry of a successful undo of the given change set
+   * @returns {Promise<object|null>}
+   */
+  async findUndoOf(id) {
+    for await (const { entry } of this.entries()) {
+      if (entry.undo_of === id && !entry.error) return entry;
+    }
+    return null;
+  }
+}
+
+export default AuditLog;
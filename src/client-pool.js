@@ -0,0 +1,114 @@
+/**
+ * Client Pool
+ * Shares one FtrackClient per set of credentials between the sessions
+ * that use them, and drops clients that have been idle for a while
+ */
+
+import { createHash } from 'node:crypto';
+
+export const DEFAULT_MAX_CLIENTS = 100;
+export const DEFAULT_IDLE_SECONDS = 900;
+
+/**
+ * Pool key for a set of credentials; the API key itself is not kept
+ */
+function credentialKey({ apiUser, apiKey }) {
+  return createHash('sha256').update(`${apiUser}\n${apiKey}`).digest('hex');
+}
+
+export class ClientPool {
+  /**
+   * @param {object} options
+   * @param {Function} options.create - Builds a client from { apiUser, apiKey }
+   * @param {number} options.maxClients - Most clients kept at once
+   * @param {number} options.idleSeconds - How long an unused client is kept
+   */
+  constructor({ create, maxClients = DEFAULT_MAX_CLIENTS, idleSeconds = DEFAULT_IDLE_SECONDS }) {
+    this.create = create;
+    this.maxClients = maxClients;
+    this.idleTime = idleSeconds * 1000;
+    this.entries = new Map();
+  }
+
+  /**
+   * Build a pool from the max_clients and client_idle_seconds settings
+   */
+  static fromConfig(config, create) {
+    return new ClientPool({
+      create,
+      maxClients: config.max_clients,
+      idleSeconds: config.client_idle_seconds,
+    });
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get the client for a set of credentials, creating it if needed. Every
+   * acquire() must be paired with a release() once the session ends.
+   * @param {object} credentials - { apiUser, apiKey }
+   * @returns {FtrackClient}
+   * @throws {Error} - If the pool is full of clients still in use
+   */
+  acquire(credentials) {
+    this.prune();
+    const key = credentialKey(credentials);
+    let entry = this.entries.get(key);
+    if (!entry) {
+      if (this.entries.size >= this.maxClients && !this.evictIdle()) {
+        throw new Error(`Too many concurrent ftrack users (limit ${this.maxClients})`);
+      }
+      entry = { client: this.create(credentials), sessions: 0, lastUsed: Date.now() };
+      this.entries.set(key, entry);
+    }
+    entry.sessions++;
+    entry.lastUsed = Date.now();
+    return entry.client;
+  }
+
+  /**
+   * Mark one session using a client as finished
+   */
+  release(client) {
+    for (const entry of this.entries.values()) {
+      if (entry.client === client) {
+        entry.sessions = Math.max(0, entry.sessions - 1);
+        entry.lastUsed = Date.now();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Drop the least recently used client that no session is using
+   * @returns {boolean} - Whether a client was dropped
+   */
+  evictIdle() {
+    let oldest = null;
+    for (const [key, entry] of this.entries) {
+      if (entry.sessions === 0 && (!oldest || entry.lastUsed < oldest.lastUsed)) {
+        oldest = { key, lastUsed: entry.lastUsed };
+      }
+    }
+    if (oldest) {
+      this.entries.delete(oldest.key);
+    }
+    return oldest !== null;
+  }
+
+  /**
+   * Drop clients no session has used for longer than the idle time
+   */
+  prune() {
+    const cutoff = Date.now() - this.idleTime;
+    for (const [key, entry] of this.entries) {
+      if (entry.sessions === 0 && entry.lastUsed <= cutoff) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+export default ClientPool;
@@ -0,0 +1,381 @@
+/**
+ * Configuration
+ * Resolves settings from command-line flags, environment variables and
+ * config files (in that order of precedence), validates them, and formats
+ * them for --print-config with secrets masked
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join, resolve } from 'node:path';
+import {
+  DEFAULT_PAGE_SIZE,
+  DEFAULT_MAX_ROWS,
+  DEFAULT_MAX_RETRIES,
+  DEFAULT_RETRY_BASE_DELAY_MS,
+  DEFAULT_RETRY_MAX_DELAY_MS,
+  DEFAULT_REQUEST_TIMEOUT_MS,
+} from './ftrack-client.js';
+import { PROFILES, DEFAULT_PROFILE } from './tool-policy.js';
+import { DEFAULT_CONFIRMATION_TTL_SECONDS } from './confirmation.js';
+import { DEFAULT_AUDIT_LOG_PATH } from './audit-log.js';
+import { DEFAULT_HTTP_HOST, DEFAULT_HTTP_PORT } from './http-server.js';
+import { DEFAULT_MAX_CLIENTS, DEFAULT_IDLE_SECONDS } from './client-pool.js';
+import { DEFAULT_WORKSPACES_PATH } from './workspaces.js';
+import { DEFAULT_CACHE_TTL_SECONDS, DEFAULT_CACHED_ENTITY_TYPES } from './response-cache.js';
+import { LOG_LEVELS } from './logger.js';
+import { suggest } from './schema-validator.js';
+
+export const CONFIG_FILE_NAMES = ['.ftrackrc', 'ftrack-mcp.config.json'];
+
+const MASK = '********';
+
+/**
+ * Every setting, with the environment variable and flag it can be set by.
+ * Config files use the key itself. Types: string, integer, boolean, list
+ * (comma-separated or array) and enum (one of values).
+ */
+export const SETTINGS = [
+  // Connection
+  { key: 'server', env: 'FTRACK_SERVER', type: 'string', description: 'ftrack server URL' },
+  { key: 'api_user', env: 'FTRACK_API_USER', type: 'string', description: 'ftrack API user' },
+  { key: 'api_key', env: 'FTRACK_API_KEY', type: 'string', secret: true, description: 'ftrack API key' },
+  { key: 'workspaces_file', env: 'FTRACK_WORKSPACES_FILE', type: 'string', description: 'JSON file defining named workspaces' },
+
+  // Requests
+  { key: 'page_size', env: 'FTRACK_PAGE_SIZE', type: 'integer', min: 1, default: DEFAULT_PAGE_SIZE, description: 'Rows fetched per query request' },
+  { key: 'max_rows', env: 'FTRACK_MAX_ROWS', type: 'integer', min: 1, default: DEFAULT_MAX_ROWS, description: 'Default row limit of ftrack_query' },
+  { key: 'max_retries', env: 'FTRACK_MAX_RETRIES', type: 'integer', min: 0, default: DEFAULT_MAX_RETRIES, description: 'Retries for failed requests' },
+  { key: 'retry_base_delay_ms', env: 'FTRACK_RETRY_BASE_DELAY_MS', type: 'integer', min: 0, default: DEFAULT_RETRY_BASE_DELAY_MS, description: 'Initial retry delay' },
+  { key: 'retry_max_delay_ms', env: 'FTRACK_RETRY_MAX_DELAY_MS', type: 'integer', min: 0, default: DEFAULT_RETRY_MAX_DELAY_MS, description: 'Longest retry delay' },
+  { key: 'timeout_ms', env: 'FTRACK_REQUEST_TIMEOUT_MS', type: 'integer', min: 0, default: DEFAULT_REQUEST_TIMEOUT_MS, description: 'Request timeout, 0 for none' },
+  { key: 'dry_run', env: 'FTRACK_DRY_RUN', type: 'boolean', default: false, description: 'Preview mutating operations instead of sending them' },
+  { key: 'validate_payloads', env: 'FTRACK_VALIDATE_PAYLOADS', type: 'boolean', default: true, description: 'Check payloads against entity schemas before sending' },
+  { key: 'schema_cache_ttl_seconds', env: 'FTRACK_SCHEMA_CACHE_TTL_SECONDS', type: 'integer', min: 0, default: 0, description: 'How long schemas are cached, 0 until restart' },
+  { key: 'cache_ttl_seconds', env: 'FTRACK_CACHE_TTL_SECONDS', type: 'integer', min: 0, default: DEFAULT_CACHE_TTL_SECONDS, description: 'How long reference data lookups are cached, 0 disables' },
+  { key: 'cache_entity_types', env: 'FTRACK_CACHE_ENTITY_TYPES', type: 'list', default: DEFAULT_CACHED_ENTITY_TYPES, description: 'Entity types whose queries are cached' },
+  { key: 'cache_dir', env: 'FTRACK_CACHE_DIR', type: 'string', description: 'Directory the response cache is persisted to across restarts' },
+
+  // Tools
+  { key: 'profile', env: 'FTRACK_PROFILE', type: 'enum', values: Object.keys(PROFILES), default: DEFAULT_PROFILE, description: 'Tool profile' },
+  { key: 'tools_allow', env: 'FTRACK_TOOLS_ALLOW', type: 'list', description: 'Only expose these tools (* wildcards)' },
+  { key: 'tools_deny', env: 'FTRACK_TOOLS_DENY', type: 'list', description: 'Never expose these tools (* wildcards)' },
+  { key: 'require_confirmation', env: 'FTRACK_REQUIRE_CONFIRMATION', type: 'boolean', default: true, description: 'Require confirmation tokens for destructive tools' },
+  { key: 'local_roots', env: 'FTRACK_LOCAL_ROOTS', type: 'list', description: 'Directories file tools may read and write; without it they are disabled over HTTP' },
+  { key: 'confirmation_ttl_seconds', env: 'FTRACK_CONFIRMATION_TTL_SECONDS', type: 'integer', min: 1, default: DEFAULT_CONFIRMATION_TTL_SECONDS, description: 'Lifetime of confirmation tokens' },
+
+  // Logging
+  { key: 'log_level', env: 'FTRACK_LOG_LEVEL', type: 'enum', values: LOG_LEVELS, default: 'info', description: 'Diagnostic messages on stderr' },
+  { key: 'audit_log', env: 'FTRACK_AUDIT_LOG', type: 'string', default: DEFAULT_AUDIT_LOG_PATH, description: 'Audit log path, or false to disable it' },
+
+  // HTTP transport
+  { key: 'transport', env: 'FTRACK_MCP_TRANSPORT', type: 'enum', values: ['stdio', 'http'], default: 'stdio', description: 'stdio or http' },
+  { key: 'host', env: 'FTRACK_MCP_HOST', type: 'string', default: DEFAULT_HTTP_HOST, description: 'HTTP interface to listen on' },
+  { key: 'port', env: 'FTRACK_MCP_PORT', type: 'integer', min: 0, max: 65535, default: DEFAULT_HTTP_PORT, description: 'HTTP port to listen on' },
+  { key: 'tokens_file', env: 'FTRACK_MCP_TOKENS_FILE', type: 'string', description: 'JSON file mapping access tokens to credentials' },
+  { key: 'header_credentials', env: 'FTRACK_MCP_HEADER_CREDENTIALS', type: 'boolean', default: true, description: 'Accept credentials in request headers' },
+  { key: 'require_auth', env: 'FTRACK_MCP_REQUIRE_AUTH', type: 'boolean', default: true, description: 'Reject HTTP sessions without credentials' },
+  { key: 'max_clients', env: 'FTRACK_MCP_MAX_CLIENTS', type: 'integer', min: 1, default: DEFAULT_MAX_CLIENTS, description: 'Most pooled per-user clients' },
+  { key: 'client_idle_seconds', env: 'FTRACK_MCP_CLIENT_IDLE_SECONDS', type: 'integer', min: 0, default: DEFAULT_IDLE_SECONDS, description: 'How long an unused client is kept' },
+];
+
+// Keys that can only be set in config files
+const FILE_ONLY_KEYS = ['workspaces', 'default_workspace'];
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map((setting) => [setting.key, setting]));
+
+const flagName = (key) => key.replace(/_/g, '-');
+
+/**
+ * Convert a raw value to the setting's type
+ * @returns {{ value }|{ error: string }}
+ */
+function coerce(setting, raw) {
+  switch (setting.type) {
+    case 'integer': {
+      const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+      if (!Number.isInteger(value)) return { error: 'must be a whole number' };
+      if (setting.min !== undefined && value < setting.min) return { error: `must be at least ${setting.min}` };
+      if (setting.max !== undefined && value > setting.max) return { error: `must be at most ${setting.max}` };
+      return { value };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      const text = String(raw).trim().toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(text)) return { value: false };
+      return { error: 'must be true or false' };
+    }
+    case 'list': {
+      const items = Array.isArray(raw) ? raw : String(raw).split(',');
+      return { value: items.map((item) => String(item).trim()).filter(Boolean) };
+    }
+    case 'enum':
+      if (!setting.values.includes(raw)) return { error: `must be one of: ${setting.values.join(', ')}` };
+      return { value: raw };
+    default:
+      // Also accepts booleans, e.g. "audit_log": false in config files
+      return { value: String(raw) };
+  }
+}
+
+/**
+ * Parse command-line flags: --name value, --name=value, --flag and
+ * --no-flag for booleans, and -h. Parsed by hand because parseArgs only
+ * supports --no- prefixes from Node 20.16. A bad flag is reported and
+ * skipped; the other flags still apply.
+ * @param {Array<string>} argv - Arguments after the script path
+ * @param {object} options - Flag name to { type: 'boolean'|'string' }
+ * @returns {object} - { values, errors }
+ */
+function parseFlags(argv, options) {
+  const values = {};
+  const errors = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') {
+      values.help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      errors.push({ key: null, message: `Unexpected argument "${arg}"` });
+      continue;
+    }
+    const separator = arg.indexOf('=');
+    const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+    const inline = separator === -1 ? undefined : arg.slice(separator + 1);
+
+    const negated = name.startsWith('no-') ? name.slice(3) : null;
+    if (negated && options[negated]?.type === 'boolean' && inline === undefined) {
+      values[negated] = false;
+      continue;
+    }
+    const option = options[name];
+    if (!option) {
+      const suggestion = suggest(name, Object.keys(options));
+      errors.push({ key: null, message: `Unknown option "--${name}"${suggestion ? `. Did you mean "--${suggestion}"?` : ''}` });
+      continue;
+    }
+    if (option.type === 'boolean') {
+      if (inline !== undefined) {
+        errors.push({ key: null, message: `Option "--${name}" does not take a value; use --${name} or --no-${name}` });
+      } else {
+        values[name] = true;
+      }
+      continue;
+    }
+    const value = inline ?? argv[i + 1];
+    if (value === undefined || (inline === undefined && value.startsWith('--'))) {
+      errors.push({ key: null, message: `Option "--${name}" needs a value` });
+      continue;
+    }
+    if (inline === undefined) i++;
+    values[name] = value;
+  }
+  return { values, errors };
+}
+
+/**
+ * Config files to read, lowest precedence first: home directory, then the
+ * project (working) directory. An explicit --config / FTRACK_MCP_CONFIG
+ * path replaces the search.
+ */
+function configFilePaths(explicitPath, cwd, home) {
+  if (explicitPath) {
+    return [resolve(cwd, explicitPath)];
+  }
+  const directories = resolve(home) === resolve(cwd) ? [home] : [home, cwd];
+  return directories.flatMap((directory) => CONFIG_FILE_NAMES.map((name) => join(directory, name)));
+}
+
+/**
+ * Resolve the configuration
+ * @param {object} options - { argv, env, cwd, home }, defaulting to the current process
+ * @returns {object} - { config, sources, files, errors, printConfig, help }: config
+ *   maps keys to values, sources maps keys to where each value came from
+ */
+export function loadConfig({
+  argv = process.argv.slice(2),
+  env = process.env,
+  cwd = process.cwd(),
+  home = homedir(),
+} = {}) {
+  const config = {};
+  const sources = {};
+  const errors = [];
+
+  // Command-line flags
+  const options = {
+    config: { type: 'string' },
+    'print-config': { type: 'boolean' },
+    help: { type: 'boolean' },
+  };
+  for (const setting of SETTINGS) {
+    options[flagName(setting.key)] = { type: setting.type === 'boolean' ? 'boolean' : 'string' };
+  }
+  const { values: flags, errors: flagErrors } = parseFlags(argv, options);
+  errors.push(...flagErrors);
+  const printConfig = flags['print-config'] === true;
+  const help = flags.help === true;
+  const explicitPath = flags.config || env.FTRACK_MCP_CONFIG;
+
+  for (const setting of SETTINGS) {
+    if (setting.default !== undefined) {
+      config[setting.key] = setting.default;
+      sources[setting.key] = 'default';
+    }
+  }
+
+  const apply = (setting, raw, source) => {
+    const result = coerce(setting, raw);
+    if (result.error) {
+      errors.push({ key: setting.key, message: `${setting.key} ${result.error} (got ${JSON.stringify(raw)} from ${source})` });
+    } else {
+      config[setting.key] = result.value;
+      sources[setting.key] = source;
+    }
+  };
+
+  // Config files
+  const files = [];
+  for (const path of configFilePaths(explicitPath, cwd, home)) {
+    if (!existsSync(path)) {
+      if (explicitPath) {
+        errors.push({ key: null, message: `Config file ${path} does not exist` });
+      }
+      continue;
+    }
+    let contents;
+    try {
+      contents = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (error) {
+      errors.push({ key: null, message: `Could not read config file ${path}: ${error.message}` });
+      continue;
+    }
+    if (!contents || typeof contents !== 'object' || Array.isArray(contents)) {
+      errors.push({ key: null, message: `Config file ${path} must contain a JSON object` });
+      continue;
+    }
+    files.push(path);
+    for (const [key, raw] of Object.entries(contents)) {
+      if (FILE_ONLY_KEYS.includes(key)) {
+        config[key] = raw;
+        sources[key] = path;
+        continue;
+      }
+      const setting = SETTINGS_BY_KEY.get(key);
+      if (!setting) {
+        const suggestion = suggest(key, [...SETTINGS_BY_KEY.keys(), ...FILE_ONLY_KEYS]);
+        errors.push({ key, message: `Unknown setting "${key}" in ${path}${suggestion ? `. Did you mean "${suggestion}"?` : ''}` });
+        continue;
+      }
+      if (raw !== null) {
+        apply(setting, raw, path);
+      }
+    }
+  }
+
+  // Environment variables, then flags
+  for (const setting of SETTINGS) {
+    if (env[setting.env] !== undefined && env[setting.env] !== '') {
+      apply(setting, env[setting.env], setting.env);
+    }
+  }
+  for (const setting of SETTINGS) {
+    const value = flags[flagName(setting.key)];
+    if (value !== undefined) {
+      apply(setting, value, `--${value === false ? 'no-' : ''}${flagName(setting.key)}`);
+    }
+  }
+
+  errors.push(...missingSettings(config));
+  return { config, sources, files, errors, printConfig, help };
+}
+
+/**
+ * Credentials are required unless workspaces are defined instead
+ */
+function missingSettings(config) {
+  if (config.workspaces || config.workspaces_file || existsSync(DEFAULT_WORKSPACES_PATH)) {
+    return [];
+  }
+  return ['server', 'api_user', 'api_key']
+    .filter((key) => !config[key])
+    .map((key) => {
+      const setting = SETTINGS_BY_KEY.get(key);
+      return {
+        key,
+        message: `${key} is not set (${setting.description}). Set it with --${flagName(key)}, ${setting.env}, or "${key}" in ${CONFIG_FILE_NAMES.join(' or ')}`,
+      };
+    });
+}
+
+/**
+ * Describe the problems found by loadConfig
+ */
+export function formatErrors(errors) {
+  return `Invalid configuration:\n${errors.map(({ message }) => `  - ${message}`).join('\n')}`;
+}
+
+function maskWorkspaces(workspaces) {
+  return Object.fromEntries(Object.entries(workspaces).map(([name, definition]) => [
+    name,
+    definition.api_key ? { ...definition, api_key: MASK } : definition,
+  ]));
+}
+
+/**
+ * Resolved configuration with secrets masked, for --print-config
+ * @returns {object} - key to { value, source }, in the order of SETTINGS;
+ *   settings that are not set have a null source
+ */
+export function describeConfig({ config, sources }) {
+  const described = {};
+  for (const key of [...SETTINGS_BY_KEY.keys(), ...FILE_ONLY_KEYS]) {
+    let value = config[key] ?? null;
+    if (SETTINGS_BY_KEY.get(key)?.secret && value) {
+      value = MASK;
+    } else if (key === 'workspaces' && value && typeof value === 'object') {
+      value = maskWorkspaces(value);
+    }
+    described[key] = { value, source: sources[key] ?? null };
+  }
+  return described;
+}
+
+/**
+ * Help text listing every flag and environment variable
+ */
+export function usage() {
+  const lines = SETTINGS.map((setting) => {
+    const flag = `--${flagName(setting.key)}${setting.type === 'boolean' ? '' : ' <value>'}`;
+    const fallback = setting.default !== undefined ? ` (default: ${setting.default})` : '';
+    return `  ${flag.padEnd(36)} ${setting.env.padEnd(32)} ${setting.description}${fallback}`;
+  });
+  return [
+    'Usage: ftrack-mcp [options]',
+    '',
+    'Options (flag, environment variable, description):',
+    `  ${'--config <path>'.padEnd(36)} ${'FTRACK_MCP_CONFIG'.padEnd(32)} Config file to use instead of ${CONFIG_FILE_NAMES.join(' / ')} in the home and working directories`,
+    `  ${'--print-config'.padEnd(69)} Print the resolved configuration with secrets masked and exit`,
+    `  ${'--help'.padEnd(69)} Show this help and exit`,
+    ...lines,
+    '',
+    'Boolean flags can be negated with --no-<name>. Flags take precedence over environment variables, which take precedence over config files.',
+  ].join('\n');
+}
+
+/**
+ * FtrackClient options from the configuration
+ */
+export function clientOptions(config) {
+  return {
+    pageSize: config.page_size,
+    maxRows: config.max_rows,
+    maxRetries: config.max_retries,
+    retryBaseDelay: config.retry_base_delay_ms,
+    retryMaxDelay: config.retry_max_delay_ms,
+    timeout: config.timeout_ms,
+    dryRun: config.dry_run,
+  };
+}
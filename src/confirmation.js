@@ -0,0 +1,176 @@
+/**
+ * Confirmation Tokens
+ * Two-phase execution for destructive and security-sensitive tools: the
+ * first call returns a summary of the affected entities and a short-lived
+ * token, and the action only runs when called again with that token
+ */
+
+import { randomBytes } from 'node:crypto';
+import { select, eq } from './query-builder.js';
+import { fetchCurrentValues } from './dry-run.js';
+
+export const CONFIRMATION_REQUIRED_TOOLS = new Set([
+  'ftrack_delete',
+  'ftrack_delete_delayed_job',
+  'ftrack_disable_2fa',
+  'ftrack_reset_remote_password',
+  'ftrack_reset_remote_api_key',
+  'ftrack_remove_user_security_role',
+  'ftrack_revoke_user_security_role_project',
+  'ftrack_revoke_api_key_project',
+  'ftrack_revoke_api_key_security_role',
+  'ftrack_assume_user',
+  'ftrack_batch',
+  'ftrack_undo',
+]);
+
+const isDelete = (operation) => operation.action === 'delete';
+
+/**
+ * Tools from CONFIRMATION_REQUIRED_TOOLS that only need confirmation when
+ * they would delete entities. Each returns the delete operations a call
+ * would send and the client to look their targets up with.
+ * @type {Object<string, Function>} - (args, { client, auditLog, resolveWorkspace }) => { client, operations }
+ */
+export const DELETE_CONFIRMATION_TOOLS = {
+  ftrack_batch: async ({ operations }, { client }) => ({ client, operations: operations.filter(isDelete) }),
+  ftrack_undo: async ({ change_set_id }, { client, auditLog, resolveWorkspace }) => {
+    const entry = await auditLog.get(change_set_id);
+    // Change sets of other users are refused by the tool without confirmation
+    if (entry?.user !== client.apiUser) {
+      return { client, operations: [] };
+    }
+    return {
+      client: resolveWorkspace(entry.workspace).client,
+      operations: (entry.undo ?? []).filter(isDelete),
+    };
+  },
+};
+
+export const DEFAULT_CONFIRMATION_TTL_SECONDS = 300;
+
+// Tool arguments that identify an entity, and what to show about it
+const TARGET_ARGUMENTS = {
+  user_id: { entityType: 'User', attributes: ['id', 'username', 'first_name', 'last_name', 'email'] },
+  project_id: { entityType: 'Project', attributes: ['id', 'name', 'full_name'] },
+  security_role_id: { entityType: 'SecurityRole', attributes: ['id', 'name', 'type'] },
+};
+
+/**
+ * Serialize arguments with sorted keys so equal arguments compare equal
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Look up the entities a tool call would affect
+ * @returns {Promise<Array>} - [{ argument, entity_type, id, entity }]
+ */
+export async function summarizeTargets(client, args) {
+  const targets = [];
+  if (args.entity_type && args.entity_id) {
+    targets.push({ argument: 'entity_id', entityType: args.entity_type, id: args.entity_id, attributes: [] });
+  }
+  for (const [argument, { entityType, attributes }] of Object.entries(TARGET_ARGUMENTS)) {
+    if (args[argument]) {
+      targets.push({ argument, entityType, id: args[argument], attributes });
+    }
+  }
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const results = await client.call(targets.map(({ entityType, id, attributes }) => ({
+    action: 'query',
+    expression: select(...attributes).from(entityType).where(eq('id', id)).toString(),
+  })));
+
+  return targets.map(({ argument, entityType, id }, i) => ({
+    argument,
+    entity_type: entityType,
+    id,
+    entity: results[i].data[0] || null,
+  }));
+}
+
+/**
+ * Look up the entities delete operations would remove
+ * @returns {Promise<Array>} - [{ argument, entity_type, entity_key, entity }]
+ */
+export async function summarizeDeletes(client, operations) {
+  const current = await fetchCurrentValues(client, operations);
+  return operations.map((operation, i) => ({
+    argument: 'operations',
+    entity_type: operation.entity_type ?? null,
+    entity_key: operation.entity_key ?? null,
+    entity: current.get(i) ?? null,
+  }));
+}
+
+export class ConfirmationManager {
+  /**
+   * @param {object} options - { ttlSeconds } lifetime of issued tokens
+   */
+  constructor({ ttlSeconds = DEFAULT_CONFIRMATION_TTL_SECONDS } = {}) {
+    this.ttl = ttlSeconds * 1000;
+    this.pending = new Map();
+  }
+
+  /**
+   * Build a manager from the confirmation_ttl_seconds setting
+   */
+  static fromConfig(config) {
+    return new ConfirmationManager({ ttlSeconds: config.confirmation_ttl_seconds });
+  }
+
+  /**
+   * Issue a token bound to a tool, its exact arguments and the caller
+   * @param {string} toolName
+   * @param {object} args - Tool arguments
+   * @param {*} owner - Who may use the token, e.g. the session's ftrack client
+   * @returns {{ token: string, expiresAt: Date }}
+   */
+  issue(toolName, args, owner = null) {
+    this.prune();
+    const token = randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + this.ttl);
+    this.pending.set(token, { toolName, args: stableStringify(args), owner, expiresAt });
+    return { token, expiresAt };
+  }
+
+  /**
+   * Check and use up a token. Tokens are single-use.
+   * @throws {Error} - If the token is unknown, expired, was issued to another
+   *   caller or for a different call
+   */
+  consume(token, toolName, args, owner = null) {
+    this.prune();
+    const entry = this.pending.get(token);
+    // A token issued to another session is treated as unknown
+    if (!entry || entry.owner !== owner) {
+      throw new Error('Confirmation token is invalid or has expired. Call the tool again without confirmation_token to get a new one.');
+    }
+    if (entry.toolName !== toolName || entry.args !== stableStringify(args)) {
+      throw new Error(`Confirmation token was issued for a different call. Repeat ${entry.toolName} with exactly the same arguments.`);
+    }
+    this.pending.delete(token);
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt.getTime() <= now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
+
+export default ConfirmationManager;
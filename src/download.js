@@ -0,0 +1,293 @@
+/**
+ * Component Download
+ * Fetches components (single files or the members of image sequences) to a
+ * local directory through signed URLs, checking size and checksum
+ */
+
+import { createHash } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import { mkdir, rename, rm, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Readable, Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { FtrackAmbiguousError, FtrackApiError, FtrackNetworkError, FtrackNotFoundError, FtrackServerError, FtrackValidationError, httpError } from './errors.js';
+import { select, eq } from './query-builder.js';
+import { framePath } from './sequence.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_DOWNLOAD_CONCURRENCY = 4;
+export const DEFAULT_COMPONENT_NAME = 'main';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Keep a component or frame name from escaping the destination directory
+ */
+function safeFileName(name) {
+  return name.replace(/[/\\]/g, '_').replace(/^\.+/, '_');
+}
+
+/**
+ * Find the component of the latest version published for a task: the
+ * highest version number, the most recent one if assets share it
+ * @param {FtrackClient} client
+ * @param {string} taskId
+ * @param {object} options - { assetName, componentName }
+ * @returns {Promise<object>} - { componentId, version }
+ */
+export async function latestComponent(client, taskId, { assetName = null, componentName = DEFAULT_COMPONENT_NAME } = {}) {
+  const { data } = await client.query(
+    select('id', 'version', 'asset.name', 'components.id', 'components.name')
+      .from('AssetVersion')
+      .where(eq('task_id', taskId), assetName && eq('asset.name', assetName))
+      .orderBy('version', 'descending')
+      .orderBy('date', 'descending')
+      .limit(1)
+      .toString()
+  );
+  const version = data[0];
+  if (!version) {
+    throw new FtrackNotFoundError(`No versions published for task ${taskId}${assetName ? ` with asset "${assetName}"` : ''}`);
+  }
+  const components = version.components ?? [];
+  const named = components.filter((component) => component.name === componentName);
+  const candidates = named.length > 0 || components.length !== 1 ? named : components;
+  const description = { id: version.id, version: version.version, asset: version.asset?.name ?? null };
+  if (candidates.length === 1) {
+    return { componentId: candidates[0].id, version: description };
+  }
+  if (candidates.length === 0) {
+    throw new FtrackNotFoundError(
+      `Version ${version.version} of "${description.asset}" has no component named "${componentName}"; it has: ${components.map((component) => component.name).join(', ') || 'none'}`
+    );
+  }
+  throw new FtrackAmbiguousError(`Version ${version.version} has ${candidates.length} components named "${componentName}"`, {
+    candidates: candidates.map(({ id, name }) => ({ id, name })),
+  });
+}
+
+/**
+ * Describe the files a component consists of: itself, or the members of a
+ * sequence or container component
+ * @returns {Promise<object>} - { component, files: [{ id, fileName, size }] }
+ */
+export async function componentFiles(client, componentId) {
+  const { data } = await client.query(
+    select('id', 'name', 'file_type', 'size').from('Component').where(eq('id', componentId)).toString()
+  );
+  const component = data[0];
+  if (!component) {
+    throw new FtrackNotFoundError(`Component not found: ${componentId}`);
+  }
+  const entityType = component.__entity_type__ ?? 'FileComponent';
+  if (entityType === 'FileComponent') {
+    return {
+      component: { ...component, entity_type: entityType },
+      files: [{ id: component.id, fileName: safeFileName(`${component.name}${component.file_type ?? ''}`), size: component.size ?? null }],
+    };
+  }
+
+  const { data: containers } = await client.query(
+    select('padding').from('SequenceComponent').where(eq('id', componentId)).toString()
+  );
+  const padding = containers[0]?.padding ?? 0;
+  const { data: members } = await client.queryAll(
+    select('id', 'name', 'file_type', 'size').from('FileComponent').where(eq('container_id', componentId)).orderBy('name').toString(),
+    { maxRows: Number.MAX_SAFE_INTEGER }
+  );
+  if (members.length === 0) {
+    throw new FtrackValidationError(`${entityType} ${componentId} has no member files`);
+  }
+  return {
+    component: { ...component, entity_type: entityType, padding },
+    files: members.map((member) => {
+      // Sequence members are named by frame number
+      const sequence = { head: `${component.name}.`, padding, tail: member.file_type ?? component.file_type ?? '' };
+      const fileName = /^-?\d+$/.test(member.name)
+        ? framePath(sequence, Number(member.name))
+        : `${sequence.head}${member.name}${sequence.tail}`;
+      return { id: member.id, fileName: safeFileName(fileName), size: member.size ?? null };
+    }),
+  };
+}
+
+/**
+ * MD5 to compare a download against, from a Content-MD5 header or a
+ * single-part ETag; multipart ETags are not checksums
+ * @returns {object|null} - { value, encoding }
+ */
+function expectedChecksum(headers) {
+  const contentMd5 = headers.get('content-md5');
+  if (contentMd5) return { value: contentMd5, encoding: 'base64' };
+  const etag = headers.get('etag')?.replace(/"/g, '');
+  if (etag && /^[0-9a-f]{32}$/i.test(etag)) return { value: etag.toLowerCase(), encoding: 'hex' };
+  return null;
+}
+
+/**
+ * Fetch a URL into a file. The request is aborted when no data arrives for
+ * the timeout; a limit on the whole transfer would cut off large files.
+ * @returns {Promise<object>} - { size, hash, headers }
+ */
+async function fetchToFile(url, path, fileName, { timeout, onBytes }) {
+  const controller = new AbortController();
+  let timer = null;
+  const restartTimer = () => {
+    clearTimeout(timer);
+    timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+  };
+  const hash = createHash('md5');
+  let size = 0;
+  const meter = new Transform({
+    transform(chunk, _encoding, callback) {
+      restartTimer();
+      hash.update(chunk);
+      size += chunk.length;
+      onBytes(chunk.length);
+      callback(null, chunk);
+    },
+  });
+
+  restartTimer();
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw httpError(response.status, await response.text());
+    }
+    await pipeline(Readable.fromWeb(response.body), meter, createWriteStream(path));
+    return { size, hash, headers: response.headers };
+  } catch (cause) {
+    // HTTP errors are already typed; errors writing the file are not network errors
+    if (cause instanceof FtrackApiError || cause.syscall) {
+      throw cause;
+    }
+    const message = controller.signal.aborted ? `no data received for ${timeout}ms` : cause.message;
+    throw new FtrackNetworkError(`Download of ${fileName} failed: ${message}`, { cause });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Download one component file into a directory. The data is written to a
+ * .part file that replaces the destination only once it checks out.
+ * Network errors, stalls, 5xx and 429 are retried with the client's
+ * backoff settings and request timeout. Signed URLs expire, so every
+ * attempt gets a new one and a 401 or 403 from the storage is retried too.
+ * @returns {Promise<object>} - { path, size, checksum_verified }
+ */
+async function downloadFile(client, file, directory, { onBytes }) {
+  const path = join(directory, file.fileName);
+  const partial = `${path}.part`;
+  for (let attempt = 0; ; attempt++) {
+    const signed = await client.generateSignedUrl(file.id, 'get');
+    const url = signed?.signed_url ?? signed?.url;
+    if (!url) {
+      throw new FtrackServerError(`No download URL returned for component ${file.id}`);
+    }
+
+    let received = 0;
+    try {
+      const { size, hash, headers } = await fetchToFile(url, partial, file.fileName, {
+        timeout: client.timeout,
+        onBytes: (bytes) => {
+          received += bytes;
+          onBytes(bytes);
+        },
+      });
+      if (file.size !== null && size !== file.size) {
+        throw new FtrackValidationError(`Downloaded ${size} bytes of ${file.fileName}, expected ${file.size}`);
+      }
+      const expected = expectedChecksum(headers);
+      if (expected && hash.digest(expected.encoding) !== expected.value) {
+        throw new FtrackValidationError(`Checksum mismatch for ${file.fileName}`);
+      }
+      await rename(partial, path);
+      return { path, size, checksum_verified: expected !== null };
+    } catch (error) {
+      await rm(partial, { force: true });
+      // Take the failed attempt's bytes back out of the progress
+      onBytes(-received);
+      const expired = error.status === 401 || error.status === 403;
+      const delay = (error.retryable || expired) && attempt < client.maxRetries ? client.retryDelay(attempt, error.retryAfter) : null;
+      if (delay === null) {
+        throw error;
+      }
+      logger.warn(`Download request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${client.maxRetries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Download a component to a local directory. Sequence and container
+ * components are downloaded member by member, several at a time.
+ * @param {FtrackClient} client
+ * @param {string} componentId
+ * @param {string} directory - Destination directory, created if missing
+ * @param {object} options
+ * @param {boolean} options.overwrite - Replace existing files; otherwise files
+ *   of the expected size are skipped and others are an error
+ * @param {number} options.concurrency - Files downloaded at once
+ * @param {Function} options.onProgress - Called with (bytesReceived, totalBytes)
+ * @returns {Promise<object>} - { component_id, name, entity_type, files, total_bytes }
+ */
+export async function downloadComponent(client, componentId, directory, {
+  overwrite = false,
+  concurrency = DEFAULT_DOWNLOAD_CONCURRENCY,
+  onProgress = () => {},
+} = {}) {
+  const { component, files } = await componentFiles(client, componentId);
+  await mkdir(directory, { recursive: true });
+
+  const results = new Array(files.length);
+  const pending = [];
+  for (const [index, file] of files.entries()) {
+    const path = join(directory, file.fileName);
+    const existing = await stat(path).catch(() => null);
+    if (existing && !overwrite) {
+      if (file.size === null || existing.size !== file.size) {
+        throw new FtrackValidationError(`${path} already exists; pass overwrite to replace it`);
+      }
+      results[index] = { path, size: existing.size, skipped: true };
+    } else {
+      pending.push({ index, file });
+    }
+  }
+
+  const total = files.reduce((sum, file) => sum + (file.size ?? 0), 0);
+  let received = files.reduce((sum, file, index) => sum + (results[index] ? file.size : 0), 0);
+  const onBytes = (bytes) => {
+    received += bytes;
+    onProgress(received, total);
+  };
+
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < pending.length && !failed) {
+      const { index, file } = pending[next++];
+      try {
+        results[index] = await downloadFile(client, file, directory, { onBytes });
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  // Let downloads in flight finish (and remove their .part files) before
+  // reporting the first failure
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.max(1, Math.min(concurrency, pending.length)) }, worker));
+  const rejected = outcomes.find((outcome) => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  return {
+    component_id: component.id,
+    name: component.name,
+    entity_type: component.entity_type,
+    files: results,
+    total_bytes: results.reduce((sum, result) => sum + result.size, 0),
+  };
+}
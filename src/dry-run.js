@@ -0,0 +1,132 @@
+/**
+ * Dry-run previews
+ * Describes what mutating operations would do, with the current values of
+ * the entities they touch, without sending them to ftrack
+ */
+
+import { select, eq } from './query-builder.js';
+import { logger } from './logger.js';
+
+// Actions that only read data and are always sent, even in dry-run mode
+const READ_ACTIONS = new Set([
+  'query',
+  'parse_query',
+  'query_schemas',
+  'query_server_information',
+  'search',
+  'permissions',
+  'storage_usage',
+]);
+
+/**
+ * Whether an operation changes data on the server. Signed URLs only count
+ * as reads when they are for downloading; upload URLs and upload metadata
+ * prepare a write to the component.
+ */
+export function isMutatingOperation(operation) {
+  if (operation.action === 'generate_signed_url') {
+    return operation.operation !== 'get';
+  }
+  return !READ_ACTIONS.has(operation.action);
+}
+
+/**
+ * Primary key attributes of an entity type from the client's schemas, e.g.
+ * ["configuration_id", "entity_id"] for CustomAttributeValue. Falls back to
+ * ["id"] when no schemas are available.
+ */
+async function primaryKey(client, entityType) {
+  let schema = null;
+  try {
+    schema = client.schemas ? await client.schemas.getSchema(entityType) : null;
+  } catch (error) {
+    logger.warn(`Could not read the schema of ${entityType}, looking it up by id: ${error.message}`);
+  }
+  return schema?.primary_key?.length ? schema.primary_key : ['id'];
+}
+
+/**
+ * Query operation fetching the current state of an update/delete target.
+ * The entity key holds one value per primary key attribute, in order.
+ */
+function currentStateQuery(operation, keyAttributes) {
+  const attributes = operation.action === 'update'
+    ? Object.keys(operation.entity_data || {}).filter((name) => name !== '__entity_type__')
+    : [];
+  return {
+    action: 'query',
+    expression: select(...attributes)
+      .from(operation.entity_type)
+      .where(...keyAttributes.map((name, i) => eq(name, operation.entity_key[i])))
+      .toString(),
+  };
+}
+
+/**
+ * Fetch the current state of the entities targeted by update and delete
+ * operations: the attributes being updated, or the default projections of
+ * entities being deleted
+ * @param {FtrackClient} client - Client used for the lookup
+ * @param {Array} operations - Operations to inspect
+ * @returns {Promise<Map>} - Operation index to entity data, or null if not found
+ */
+export async function fetchCurrentValues(client, operations) {
+  const targets = operations
+    .map((operation, index) => ({ operation, index }))
+    .filter(({ operation }) => (operation.action === 'update' || operation.action === 'delete')
+      && operation.entity_type && operation.entity_key?.length);
+
+  // A key that does not hold a value for every primary key attribute
+  // cannot be looked up; those targets are left out of the result
+  const lookups = [];
+  for (const target of targets) {
+    const keyAttributes = await primaryKey(client, target.operation.entity_type);
+    if (keyAttributes.length === target.operation.entity_key.length) {
+      lookups.push({ ...target, query: currentStateQuery(target.operation, keyAttributes) });
+    }
+  }
+
+  const current = new Map();
+  if (lookups.length > 0) {
+    // Always read live values: they are compared against and restored by undo
+    const results = await client.call(lookups.map(({ query }) => query), { cache: false });
+    lookups.forEach(({ index }, i) => {
+      const entity = results[i].data[0] || null;
+      if (entity) delete entity.__entity_type__;
+      current.set(index, entity);
+    });
+  }
+  return current;
+}
+
+/**
+ * Build previews for a list of operations
+ * @param {FtrackClient} client - Client used to look up current values
+ * @param {Array} operations - Operations that would have been sent
+ * @returns {Promise<Array>} - One preview per operation, in place of its result
+ */
+export async function previewOperations(client, operations) {
+  const current = await fetchCurrentValues(client, operations);
+
+  return operations.map((operation, index) => {
+    const preview = { dry_run: true, action: operation.action };
+
+    if (operation.action === 'create') {
+      preview.entity_type = operation.entity_type;
+      preview.proposed = operation.entity_data;
+    } else if (current.has(index)) {
+      preview.entity_type = operation.entity_type;
+      preview.entity_key = operation.entity_key;
+      preview.current = current.get(index);
+      if (operation.action === 'update') {
+        preview.proposed = operation.entity_data;
+      }
+      if (!preview.current) {
+        preview.warning = `${operation.entity_type} ${operation.entity_key[0]} was not found`;
+      }
+    }
+
+    preview.operation = operation;
+    return preview;
+  });
+}
@@ -0,0 +1,162 @@
+/**
+ * ftrack API Errors
+ * Typed errors carrying the HTTP status, ftrack exception and failing
+ * operation so callers can decide how to recover
+ */
+
+export class FtrackApiError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - { status, exception, operationIndex, operation, results, retryable, retryAfter, cause }
+   */
+  constructor(message, details = {}) {
+    super(message, details.cause ? { cause: details.cause } : undefined);
+    this.name = this.constructor.name;
+    this.category = 'api';
+    this.status = details.status ?? null;
+    this.exception = details.exception ?? null;
+    this.operationIndex = details.operationIndex ?? null;
+    this.operation = details.operation ?? null;
+    this.results = details.results ?? null;
+    this.retryable = details.retryable ?? false;
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  /**
+   * Plain object representation returned to MCP clients
+   */
+  toJSON() {
+    const json = {
+      error: this.name,
+      category: this.category,
+      message: this.message,
+      retryable: this.retryable,
+    };
+    if (this.status !== null) json.status = this.status;
+    if (this.exception !== null) json.exception = this.exception;
+    if (this.operationIndex !== null) json.operation_index = this.operationIndex;
+    if (this.operation !== null) json.operation = this.operation;
+    if (this.results !== null) json.results = this.results;
+    return json;
+  }
+}
+
+export class FtrackAuthenticationError extends FtrackApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.category = 'authentication';
+  }
+}
+
+export class FtrackPermissionError extends FtrackApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.category = 'permission';
+  }
+}
+
+export class FtrackValidationError extends FtrackApiError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - FtrackApiError details plus issues, a list of
+   *   { attribute, message, suggestion } found by local validation
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.category = 'validation';
+    this.issues = details.issues ?? null;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    if (this.issues !== null) json.issues = this.issues;
+    return json;
+  }
+}
+
+export class FtrackAmbiguousError extends FtrackValidationError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details - FtrackValidationError details plus candidates,
+   *   the entities a name could refer to
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.candidates = details.candidates ?? null;
+  }
+
+  toJSON() {
+    const json = super.toJSON();
+    if (this.candidates !== null) json.candidates = this.candidates;
+    return json;
+  }
+}
+
+export class FtrackNotFoundError extends FtrackApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.category = 'not_found';
+  }
+}
+
+export class FtrackServerError extends FtrackApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.category = 'server';
+  }
+}
+
+export class FtrackNetworkError extends FtrackApiError {
+  constructor(message, details) {
+    super(message, { retryable: true, ...details });
+    this.category = 'network';
+  }
+}
+
+/**
+ * Build an error for a non-OK HTTP response
+ */
+export function httpError(status, text, retryAfter = null) {
+  const message = `ftrack API error (${status}): ${text}`;
+  const details = { status, retryAfter };
+
+  if (status === 401) return new FtrackAuthenticationError(message, details);
+  if (status === 403) return new FtrackPermissionError(message, details);
+  if (status === 404) return new FtrackNotFoundError(message, details);
+  if (status === 400 || status === 422) return new FtrackValidationError(message, details);
+  if (status === 429 || status >= 500) {
+    return new FtrackServerError(message, { ...details, retryable: true });
+  }
+  return new FtrackApiError(message, details);
+}
+
+// ftrack exception class names, e.g. "AuthenticationError" or "NoResultFoundError"
+const AUTHENTICATION_EXCEPTION = /authentication|unauthori[sz]ed/i;
+const PERMISSION_EXCEPTION = /permission|forbidden|accessdenied/i;
+const NOT_FOUND_EXCEPTION = /notfound|noresult/i;
+const VALIDATION_EXCEPTION = /validation|parse|integrity|constraint|invalid/i;
+
+// Database constraint failures that ftrack may report as a generic ServerError
+const CONSTRAINT_MESSAGE = /foreign key|duplicate key|unique constraint|not-null constraint/i;
+
+/**
+ * Build an error for an operation result containing an ftrack exception
+ * @param {object} result - Result object with exception and content
+ * @param {object} details - { operationIndex, operation, results }
+ */
+export function operationError(result, details = {}) {
+  const exception = result.exception;
+  const prefix = details.operationIndex !== null && details.operationIndex !== undefined
+    ? `Operation ${details.operationIndex} failed`
+    : 'Request failed';
+  const message = `${prefix}: ${result.content}`;
+  const errorDetails = { ...details, exception, status: result.error_code ?? null };
+
+  if (AUTHENTICATION_EXCEPTION.test(exception)) return new FtrackAuthenticationError(message, errorDetails);
+  if (PERMISSION_EXCEPTION.test(exception)) return new FtrackPermissionError(message, errorDetails);
+  if (NOT_FOUND_EXCEPTION.test(exception)) return new FtrackNotFoundError(message, errorDetails);
+  if (VALIDATION_EXCEPTION.test(exception) || CONSTRAINT_MESSAGE.test(result.content)) {
+    return new FtrackValidationError(message, errorDetails);
+  }
+  return new FtrackServerError(message, errorDetails);
+}
@@ -3,8 +3,66 @@
  * Handles authentication and communication with ftrack API
  */
 
+import { splitPaging } from './pagination.js';
+import { FtrackApiError, FtrackNetworkError, FtrackServerError, httpError, operationError } from './errors.js';
+import { isMutatingOperation, previewOperations } from './dry-run.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_PAGE_SIZE = 500;
+export const DEFAULT_MAX_ROWS = 1000;
+export const DEFAULT_MAX_RETRIES = 3;
+export const DEFAULT_RETRY_BASE_DELAY_MS = 500;
+export const DEFAULT_RETRY_MAX_DELAY_MS = 10000;
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Read a non-negative integer option, falling back to an env var and then a default
+ */
+function numberOption(value, envName, defaultValue) {
+  if (value !== undefined && value !== null) return value;
+  const envValue = process.env[envName];
+  if (envValue !== undefined && envValue !== '' && !Number.isNaN(Number(envValue))) {
+    return Number(envValue);
+  }
+  return defaultValue;
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date) into milliseconds
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  return null;
+}
+
+/**
+ * Whether a request can be sent again after a failure that may have come
+ * after ftrack applied it: only reads, and creates that carry their own ID
+ * (a repeated create then fails on the duplicate ID instead of creating a
+ * second entity). A 429 response means the request was not processed, so
+ * it can always be retried.
+ */
+function isSafeToRetry(operations, error) {
+  return error.status === 429 || operations.every((operation) => !isMutatingOperation(operation)
+    || (operation.action === 'create' && Boolean(operation.entity_data?.id)));
+}
+
 export class FtrackClient {
-  constructor(serverUrl, apiUser, apiKey) {
+  /**
+   * @param {string} serverUrl - ftrack server URL
+   * @param {string} apiUser - API username
+   * @param {string} apiKey - API key
+   * @param {object} options - { pageSize, maxRows } paging defaults for queryAll and
+   *   { maxRetries, retryBaseDelay, retryMaxDelay, timeout } request behaviour (ms)
+   *   and { dryRun } to preview mutating operations instead of sending them
+   */
+  constructor(serverUrl, apiUser, apiKey, options = {}) {
     // Remove trailing slash if present
     this.serverUrl = serverUrl?.replace(/\/$/, '') || process.env.FTRACK_SERVER;
     this.apiUser = apiUser || process.env.FTRACK_API_USER;
@@ -21,41 +79,212 @@ export class FtrackClient {
     }
 
     this.apiEndpoint = `${this.serverUrl}/api`;
+    this.pageSize = options.pageSize || Number(process.env.FTRACK_PAGE_SIZE) || DEFAULT_PAGE_SIZE;
+    this.maxRows = options.maxRows || Number(process.env.FTRACK_MAX_ROWS) || DEFAULT_MAX_ROWS;
+    this.maxRetries = numberOption(options.maxRetries, 'FTRACK_MAX_RETRIES', DEFAULT_MAX_RETRIES);
+    this.retryBaseDelay = numberOption(options.retryBaseDelay, 'FTRACK_RETRY_BASE_DELAY_MS', DEFAULT_RETRY_BASE_DELAY_MS);
+    this.retryMaxDelay = numberOption(options.retryMaxDelay, 'FTRACK_RETRY_MAX_DELAY_MS', DEFAULT_RETRY_MAX_DELAY_MS);
+    this.timeout = numberOption(options.timeout, 'FTRACK_REQUEST_TIMEOUT_MS', DEFAULT_REQUEST_TIMEOUT_MS);
+    this.dryRun = options.dryRun ?? ['true', '1', 'yes'].includes(String(process.env.FTRACK_DRY_RUN).toLowerCase());
+    this.observers = [];
+    this.beforeSendHooks = [];
+    this.cache = null;
+    this.schemas = null;
+  }
+
+  /**
+   * Serve cacheable lookups from a ResponseCache and keep it up to date
+   * with mutating operations
+   */
+  useCache(cache) {
+    this.cache = cache;
+  }
+
+  /**
+   * Look up entity schemas (e.g. primary keys) in a SchemaCache when
+   * building dry-run previews and audit snapshots
+   */
+  useSchemas(schemaCache) {
+    this.schemas = schemaCache;
+  }
+
+  /**
+   * Register an async callback awaited before each request that contains
+   * mutating operations is sent
+   * @param {Function} hook - Called with the operations about to be sent
+   */
+  beforeSend(hook) {
+    this.beforeSendHooks.push(hook);
+  }
+
+  /**
+   * Register a callback invoked after every request sent to the server
+   * @param {Function} observer - Called with { operations, results, error }
+   */
+  observe(observer) {
+    this.observers.push(observer);
+  }
+
+  notify(event) {
+    for (const observer of this.observers) {
+      try {
+        observer(event);
+      } catch (error) {
+        logger.error('ftrack client observer failed:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get a view of this client that previews mutating operations instead of
+   * sending them. Returns the client itself when enabled is false.
+   */
+  withDryRun(enabled = true) {
+    if (!enabled || this.dryRun) {
+      return this;
+    }
+    const view = Object.create(this);
+    view.dryRun = true;
+    return view;
   }
 
   /**
    * Execute one or more operations against the ftrack API
+   * Network errors, timeouts, 5xx and 429 responses are retried with
+   * exponential backoff; other failures are thrown immediately. Requests
+   * that change data are only retried when that cannot apply them twice.
+   * In dry-run mode, requests containing mutating operations are not sent
+   * and a preview is returned in place of each result.
    * @param {Array} operations - Array of operation objects
+   * @param {object} options - { cache: false } to bypass the response cache
    * @returns {Promise<Array>} - Array of results corresponding to each operation
    */
-  async call(operations) {
+  async call(operations, { cache = true } = {}) {
     if (!Array.isArray(operations)) {
       operations = [operations];
     }
 
-    const response = await fetch(this.apiEndpoint, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json',
-        'ftrack-user': this.apiUser,
-        'ftrack-api-key': this.apiKey,
-      },
-      body: JSON.stringify(operations),
-    });
+    const mutating = operations.filter(isMutatingOperation);
+    if (mutating.length > 0) {
+      if (this.dryRun) {
+        return previewOperations(this, operations);
+      }
+      for (const hook of this.beforeSendHooks) {
+        await hook(operations);
+      }
+    }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`ftrack API error (${response.status}): ${errorText}`);
+    const cacheable = cache && this.cache !== null && operations.every((operation) => this.cache.isCacheable(operation));
+    if (cacheable) {
+      const cached = operations.map((operation) => this.cache.get(operation));
+      if (!cached.includes(undefined)) {
+        logger.debug(`ftrack ${this.apiUser}@${this.serverUrl}: ${operations.map((operation) => operation.action).join(', ')} (cached)`);
+        return cached;
+      }
     }
 
-    const results = await response.json();
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const started = Date.now();
+        const results = await this.send(operations);
+        logger.debug(`ftrack ${this.apiUser}@${this.serverUrl}: ${operations.map((operation) => operation.action).join(', ')} (${Date.now() - started}ms)`);
+        if (cacheable) {
+          operations.forEach((operation, i) => this.cache.set(operation, results[i]));
+        }
+        if (mutating.length > 0) {
+          this.cache?.invalidateFor(mutating);
+        }
+        this.notify({ operations, results, error: null });
+        return results;
+      } catch (error) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+          this.notify({ operations, results: error.results ?? null, error });
+          throw error;
+        }
+        if (!isSafeToRetry(operations, error)) {
+          logger.warn(`ftrack request failed (${error.message}); not retrying because the changes may already have been applied`);
+          this.notify({ operations, results: error.results ?? null, error });
+          throw error;
+        }
+        const delay = this.retryDelay(attempt, error.retryAfter);
+        if (delay === null) {
+          this.notify({ operations, results: error.results ?? null, error });
+          throw error;
+        }
+        logger.warn(`ftrack request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${this.maxRetries})`);
+        await sleep(delay);
+      }
+    }
+  }
 
-    // Check for operation-level errors
-    for (let i = 0; i < results.length; i++) {
-      if (results[i] && results[i].exception) {
-        throw new Error(`Operation ${i} failed: ${results[i].content}`);
+  /**
+   * Delay before the next retry: the server's Retry-After when given,
+   * otherwise exponential backoff with jitter. Returns null when the server
+   * asks for a longer wait than retryMaxDelay allows.
+   */
+  retryDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null && retryAfter !== undefined) {
+      return retryAfter <= this.retryMaxDelay ? retryAfter : null;
+    }
+    const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  /**
+   * Send a single request to the API without retrying
+   */
+  async send(operations) {
+    const controller = new AbortController();
+    const timer = this.timeout > 0 ? setTimeout(() => controller.abort(), this.timeout) : null;
+
+    let results;
+    try {
+      const response = await fetch(this.apiEndpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json',
+          'ftrack-user': this.apiUser,
+          'ftrack-api-key': this.apiKey,
+        },
+        body: JSON.stringify(operations),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw httpError(response.status, errorText, parseRetryAfter(response.headers.get('retry-after')));
       }
+
+      results = await response.json();
+    } catch (error) {
+      if (error instanceof FtrackApiError) throw error;
+      const message = controller.signal.aborted
+        ? `ftrack request timed out after ${this.timeout}ms`
+        : `ftrack request failed: ${error.message}`;
+      throw new FtrackNetworkError(message, { cause: error });
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    // A failed transaction may be reported for the whole request
+    if (!Array.isArray(results)) {
+      if (results?.exception) {
+        throw operationError(results, {
+          operation: operations.length === 1 ? operations[0] : null,
+        });
+      }
+      throw new FtrackServerError(`Unexpected ftrack API response: ${JSON.stringify(results)}`);
+    }
+
+    // Check for operation-level errors
+    const failedIndex = results.findIndex((result) => result && result.exception);
+    if (failedIndex !== -1) {
+      throw operationError(results[failedIndex], {
+        operationIndex: failedIndex,
+        operation: operations[failedIndex],
+        results,
+      });
     }
 
     return results;
@@ -84,6 +313,43 @@ export class FtrackClient {
     });
   }
 
+  /**
+   * Query entities across multiple pages, following the next offset
+   * the server reports in the result metadata
+   * @param {string} expression - Query expression; a trailing offset/limit is honored
+   * @param {object} options - { offset, pageSize, maxRows }
+   * @returns {Promise<object>} - Query result with all fetched rows in data and
+   *   metadata.next.offset set when more rows remain
+   */
+  async queryAll(expression, options = {}) {
+    const { base, offset: exprOffset, limit: exprLimit } = splitPaging(expression);
+    const pageSize = options.pageSize || this.pageSize;
+    const maxRows = options.maxRows || exprLimit || this.maxRows;
+
+    let offset = options.offset ?? exprOffset ?? 0;
+    const data = [];
+    let nextOffset = null;
+
+    while (data.length < maxRows) {
+      const pageLimit = Math.min(pageSize, maxRows - data.length);
+      const page = await this.query(`${base} offset ${offset} limit ${pageLimit}`);
+      data.push(...page.data);
+
+      nextOffset = page.metadata?.next?.offset ?? null;
+      if (nextOffset == null || page.data.length === 0) {
+        nextOffset = null;
+        break;
+      }
+      offset = nextOffset;
+    }
+
+    return {
+      action: 'query',
+      data,
+      metadata: { next: { offset: nextOffset } },
+    };
+  }
+
   /**
    * Parse a query expression without executing it
    */
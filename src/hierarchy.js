@@ -0,0 +1,113 @@
+/**
+ * Hierarchy
+ * Reads the project → sequence → shot → task tree below a context, one
+ * level per request, and describes contexts by their path
+ */
+
+import { FtrackNotFoundError } from './errors.js';
+import { select, eq, isIn } from './query-builder.js';
+import { linkPath } from './resolver.js';
+
+export const DEFAULT_HIERARCHY_DEPTH = 3;
+export const DEFAULT_HIERARCHY_MAX_NODES = 500;
+
+// Parent IDs per children query, to keep expressions reasonably short
+const PARENTS_PER_QUERY = 100;
+
+/**
+ * Look up a context (project or typed context) with its path
+ * @returns {Promise<object>} - { id, name, entity_type, object_type, path, link }
+ * @throws {FtrackNotFoundError} - If there is no context with that ID
+ */
+export async function describeContext(client, id) {
+  const { data } = await client.query(
+    select('id', 'name', 'link').from('Context').where(eq('id', id)).toString()
+  );
+  const context = data[0];
+  if (!context) {
+    throw new FtrackNotFoundError(`Context not found: ${id}`);
+  }
+  let objectType = null;
+  if (context.__entity_type__ !== 'Project') {
+    const { data: typed } = await client.query(
+      select('object_type.name').from('TypedContext').where(eq('id', id)).toString()
+    );
+    objectType = typed[0]?.object_type?.name ?? null;
+  }
+  return {
+    id: context.id,
+    name: context.name,
+    entity_type: context.__entity_type__ ?? null,
+    object_type: objectType,
+    path: linkPath(context.link),
+    link: context.link,
+  };
+}
+
+function toNode(context) {
+  return {
+    id: context.id,
+    name: context.name,
+    entity_type: context.__entity_type__ ?? null,
+    object_type: context.object_type?.name ?? null,
+    type: context.type?.name ?? null,
+    status: context.status?.name ?? null,
+    assignees: (context.assignments ?? []).map((assignment) => assignment.resource?.username).filter(Boolean),
+  };
+}
+
+/**
+ * Build the tree of contexts below a root context
+ * @param {FtrackClient} client
+ * @param {string} rootId - Project or context ID
+ * @param {object} options
+ * @param {number} options.depth - Levels below the root to include
+ * @param {number} options.maxNodes - Stop reading once this many nodes are in the tree
+ * @returns {Promise<object>} - { root, node_count, truncated }; nodes at the
+ *   depth limit have no children property
+ */
+export async function buildHierarchy(client, rootId, { depth = DEFAULT_HIERARCHY_DEPTH, maxNodes = DEFAULT_HIERARCHY_MAX_NODES } = {}) {
+  const rootContext = await describeContext(client, rootId);
+  const root = {
+    id: rootContext.id,
+    name: rootContext.name,
+    entity_type: rootContext.entity_type,
+    object_type: rootContext.object_type,
+    path: rootContext.path,
+  };
+
+  let nodeCount = 1;
+  let truncated = false;
+  let level = [root];
+  for (let current = 0; current < depth && level.length > 0 && !truncated; current++) {
+    const parents = new Map(level.map((node) => [node.id, node]));
+    for (const node of level) {
+      node.children = [];
+    }
+    const next = [];
+    const parentIds = [...parents.keys()];
+    for (let start = 0; start < parentIds.length && !truncated; start += PARENTS_PER_QUERY) {
+      const { data } = await client.queryAll(
+        select('id', 'name', 'parent_id', 'object_type.name', 'type.name', 'status.name', 'assignments.resource.username')
+          .from('TypedContext')
+          .where(isIn('parent_id', parentIds.slice(start, start + PARENTS_PER_QUERY)))
+          .orderBy('name')
+          .toString(),
+        { maxRows: maxNodes - nodeCount + 1 }
+      );
+      for (const context of data) {
+        if (nodeCount >= maxNodes) {
+          truncated = true;
+          break;
+        }
+        const node = toNode(context);
+        parents.get(context.parent_id)?.children.push(node);
+        next.push(node);
+        nodeCount++;
+      }
+    }
+    level = next;
+  }
+
+  return { root, node_count: nodeCount, truncated };
+}
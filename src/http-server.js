@@ -0,0 +1,216 @@
+/**
+ * HTTP Transport
+ * Serves MCP over Streamable HTTP (/mcp) and the legacy HTTP+SSE transport
+ * (/sse and /messages), with one MCP server instance per session, so a
+ * single process can be shared on the network
+ */
+
+import { randomUUID } from 'node:crypto';
+import http from 'node:http';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1';
+export const DEFAULT_HTTP_PORT = 3000;
+
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Read and parse a JSON request body
+ * @returns {Promise<*>} - Parsed body, or undefined if empty
+ */
+async function readJsonBody(req) {
+  let size = 0;
+  const chunks = [];
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      throw Object.assign(new Error('Request body too large'), { status: 413 });
+    }
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) return undefined;
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw Object.assign(new Error('Request body is not valid JSON'), { status: 400 });
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function sendJsonRpcError(res, status, message) {
+  sendJson(res, status, { jsonrpc: '2.0', error: { code: -32000, message }, id: null });
+}
+
+export class HttpTransportServer {
+  /**
+   * @param {object} options
+   * @param {Function} options.createSession - Called with the request that
+   *   opens a session; returns { server, close } with a new McpServer and a
+   *   callback run when the session ends. Errors with a status (such as 401)
+   *   are returned to the client.
+   * @param {string} options.host - Interface to listen on
+   * @param {number} options.port - Port to listen on
+   */
+  constructor({ createSession, host = DEFAULT_HTTP_HOST, port = DEFAULT_HTTP_PORT }) {
+    this.createSession = createSession;
+    this.host = host;
+    this.port = port;
+    this.sessions = new Map();
+    this.httpServer = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        logger.error('HTTP request failed:', error.message);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, error.status || 500, error.status ? error.message : 'Internal server error');
+        } else {
+          res.end();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>}
+   */
+  listen() {
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Route a request to the health check or one of the transports
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === '/health' && req.method === 'GET') {
+      sendJson(res, 200, { status: 'ok', sessions: this.sessions.size });
+      return;
+    }
+    if (url.pathname === '/mcp') {
+      await this.handleStreamable(req, res);
+      return;
+    }
+    if (url.pathname === '/sse' && req.method === 'GET') {
+      await this.handleSseStream(req, res);
+      return;
+    }
+    if (url.pathname === '/messages' && req.method === 'POST') {
+      await this.handleSseMessage(req, res, url.searchParams.get('sessionId'));
+      return;
+    }
+    sendJson(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Streamable HTTP: an initialize request without a session ID starts a
+   * new session, every other request must carry the Mcp-Session-Id header
+   */
+  async handleStreamable(req, res) {
+    const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+    const sessionId = req.headers['mcp-session-id'];
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+
+    if (session) {
+      if (!(session.transport instanceof StreamableHTTPServerTransport)) {
+        sendJsonRpcError(res, 400, 'Session uses the SSE transport');
+        return;
+      }
+      await session.transport.handleRequest(req, res, body);
+      return;
+    }
+    if (sessionId || req.method !== 'POST' || !isInitializeRequest(body)) {
+      sendJsonRpcError(res, sessionId ? 404 : 400, sessionId ? 'Session not found' : 'No valid session ID provided');
+      return;
+    }
+
+    const created = await this.createSession(req);
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        this.sessions.set(id, { ...created, transport });
+      },
+    });
+    transport.onclose = () => {
+      this.endSession(transport.sessionId, created);
+    };
+    try {
+      await created.server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } catch (error) {
+      this.endSession(transport.sessionId, created);
+      throw error;
+    }
+  }
+
+  /**
+   * Legacy SSE: open the event stream for a new session
+   */
+  async handleSseStream(req, res) {
+    const session = await this.createSession(req);
+    const transport = new SSEServerTransport('/messages', res);
+    this.sessions.set(transport.sessionId, { ...session, transport });
+    res.on('close', () => {
+      this.endSession(transport.sessionId, session);
+    });
+    try {
+      await session.server.connect(transport);
+    } catch (error) {
+      this.endSession(transport.sessionId, session);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget a session and run its close callback, once
+   */
+  endSession(sessionId, session) {
+    if (session.ended) return;
+    session.ended = true;
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+    session.close?.();
+  }
+
+  /**
+   * Legacy SSE: deliver a client message to its session
+   */
+  async handleSseMessage(req, res, sessionId) {
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || !(session.transport instanceof SSEServerTransport)) {
+      sendJsonRpcError(res, 404, 'Session not found');
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, await readJsonBody(req));
+  }
+
+  /**
+   * Stop accepting connections and close every open session
+   * @returns {Promise<void>}
+   */
+  async close() {
+    const closing = new Promise((resolve) => this.httpServer.close(() => resolve()));
+    for (const { transport } of [...this.sessions.values()]) {
+      await transport.close().catch(() => {});
+    }
+    this.sessions.clear();
+    this.httpServer.closeAllConnections?.();
+    await closing;
+  }
+}
+
+export default HttpTransportServer;
@@ -6,117 +6,485 @@
  * Implements all 39+ ftrack API operations as MCP tools
  */
 
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { dirname } from 'node:path';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { z } from 'zod';
 import { FtrackClient } from './ftrack-client.js';
-
-// Initialize ftrack client
-let client;
+import { WorkspaceRegistry } from './workspaces.js';
+import { FtrackApiError, FtrackNotFoundError, FtrackPermissionError, FtrackValidationError } from './errors.js';
+import { decodeCursor, formatPage } from './pagination.js';
+import { select, eq, ne, any, buildFilter } from './query-builder.js';
+import { assertEntityType, validateEntityData, validateOperations, validateProjections } from './schema-validator.js';
+import { ToolPolicy } from './tool-policy.js';
+import { CONFIRMATION_REQUIRED_TOOLS, DELETE_CONFIRMATION_TOOLS, ConfirmationManager, summarizeDeletes, summarizeTargets } from './confirmation.js';
+import { AuditLog } from './audit-log.js';
+import { findConflicts } from './undo.js';
+import { HttpTransportServer } from './http-server.js';
+import { ClientPool } from './client-pool.js';
+import { SessionAuth } from './session-auth.js';
+import { ResponseCache } from './response-cache.js';
+import { resolveContext, resolveProject, resolveStatus, resolveUser } from './resolver.js';
+import { assertTaskStatusAllowed } from './workflow.js';
+import { buildHierarchy, describeContext, DEFAULT_HIERARCHY_DEPTH, DEFAULT_HIERARCHY_MAX_NODES } from './hierarchy.js';
+import { countByType, normalizeSpec, parseSpec, planStructure, DEFAULT_STRUCTURE_CHUNK_SIZE } from './structure.js';
+import { uploadFile, DEFAULT_UPLOAD_CONCURRENCY } from './upload.js';
+import { executePublish, planPublish } from './publish.js';
+import { compareFrames, describeSequenceComponent, formatFrameRanges, formatSequence, framePath, localFrames, parseSequence, uploadSequence } from './sequence.js';
+import { LocalPaths, LOCAL_FILE_TOOLS } from './local-paths.js';
+import { jobIdOf, waitForJob, DEFAULT_JOB_POLL_INTERVAL_SECONDS, DEFAULT_JOB_TIMEOUT_SECONDS, MAX_JOB_TIMEOUT_SECONDS, MIN_JOB_POLL_INTERVAL_SECONDS } from './jobs.js';
+import { downloadComponent, latestComponent, DEFAULT_COMPONENT_NAME, DEFAULT_DOWNLOAD_CONCURRENCY } from './download.js';
+import { loadConfig, formatErrors, describeConfig, usage, clientOptions } from './config.js';
+import { logger, setLogLevel } from './logger.js';
+
+// Resolve settings from flags, environment variables and config files
+const loaded = loadConfig();
+if (loaded.help) {
+  console.log(usage());
+  process.exit(0);
+}
+if (loaded.printConfig) {
+  console.log(JSON.stringify({ files: loaded.files, settings: describeConfig(loaded) }, null, 2));
+  if (loaded.errors.length > 0) {
+    console.error(formatErrors(loaded.errors));
+  }
+  process.exit(loaded.errors.length > 0 ? 1 : 0);
+}
+if (loaded.errors.length > 0) {
+  console.error(formatErrors(loaded.errors));
+  console.error('Run with --help to list all settings.');
+  process.exit(1);
+}
+const { config } = loaded;
+setLogLevel(config.log_level);
+
+// Initialize the ftrack clients of all workspaces and the rest of the
+// services. The default workspace's client is the server's own; over HTTP,
+// sessions that send their own credentials get a client from the pool.
+let workspaces;
+let sessionAuth;
 try {
-  client = new FtrackClient(
-    process.env.FTRACK_SERVER,
-    process.env.FTRACK_API_USER,
-    process.env.FTRACK_API_KEY
-  );
+  workspaces = WorkspaceRegistry.fromConfig(config, clientOptions(config));
+  sessionAuth = SessionAuth.fromConfig(config);
 } catch (error) {
-  console.error('Failed to initialize ftrack client:', error.message);
-  console.error('Please set FTRACK_SERVER, FTRACK_API_USER, and FTRACK_API_KEY environment variables.');
+  console.error(formatErrors([{ key: null, message: error.message }]));
   process.exit(1);
 }
+const serviceClient = workspaces.default.client;
+
+// Decide which tools are exposed from the profile and allow/deny lists.
+// HTTP sessions without credentials run as the server's own user, so they
+// only get the read-only tools among those.
+const toolPolicy = ToolPolicy.fromConfig(config);
+const anonymousPolicy = ToolPolicy.fromConfig({ ...config, profile: 'read-only' });
+
+// Local files tools may read and write, limited to configured roots
+const localPaths = LocalPaths.fromConfig(config);
+
+// Destructive tools need a second call with a confirmation token unless disabled
+const confirmations = ConfirmationManager.fromConfig(config);
+const requireConfirmation = config.require_confirmation;
+
+// Record mutating tool calls and the operations they send, and cache
+// reference data lookups per client
+const auditLog = AuditLog.fromConfig(config);
+for (const name of workspaces.names) {
+  const { client, schemaCache: workspaceSchemas } = workspaces.get(name);
+  auditLog.attach(client);
+  client.useCache(ResponseCache.fromConfig(config, client));
+  client.useSchemas(workspaceSchemas);
+}
 
-// Create MCP server
-const server = new McpServer({
-  name: 'ftrack-mcp',
-  version: '1.0.0',
-  description: 'Comprehensive MCP server for ftrack API - all operations',
+// Per-user clients for HTTP sessions, keyed by credentials
+const clientPool = ClientPool.fromConfig(config, ({ apiUser, apiKey }) => {
+  const sessionClient = new FtrackClient(serviceClient.serverUrl, apiUser, apiKey, clientOptions(config));
+  auditLog.attach(sessionClient);
+  sessionClient.useCache(ResponseCache.fromConfig(config, sessionClient));
+  // Sessions talk to the default workspace's server, so its schemas apply
+  sessionClient.useSchemas(workspaces.default.schemaCache);
+  return sessionClient;
 });
 
+// Schemas are fetched on first use and reused for local payload validation;
+// resources describe the default workspace
+const schemaCache = workspaces.default.schemaCache;
+const validatePayloads = config.validate_payloads;
+
+// Tools and resources are collected here and applied to every MCP server
+// instance: one for stdio, or one per session over HTTP
+const registrations = [];
+const enabledTools = [];
+
+/**
+ * Create an MCP server with all enabled tools and resources
+ * @param {object} session - { client, policy } the session's tools run
+ *   with, and an optional ToolPolicy that narrows the enabled tools
+ */
+function createServer(session) {
+  const server = new McpServer({
+    name: 'ftrack-mcp',
+    version: '1.0.0',
+    description: 'Comprehensive MCP server for ftrack API - all operations',
+  });
+  for (const register of registrations) {
+    register(server, session);
+  }
+  return server;
+}
+
+/**
+ * Create the MCP server for a new HTTP session, running as the ftrack user
+ * whose credentials the request carries, or as the server's own user
+ */
+function createHttpSession(req) {
+  const credentials = sessionAuth.resolve(req.headers);
+  if (!credentials) {
+    return { server: createServer({ client: serviceClient, policy: anonymousPolicy }) };
+  }
+  const client = clientPool.acquire(credentials);
+  return {
+    server: createServer({ client }),
+    close: () => clientPool.release(client),
+  };
+}
+
+/**
+ * Get the client and schema cache a tool call runs with. The session's own
+ * client replaces the server's client in the default workspace. Sessions
+ * with their own credentials cannot use other workspaces: the credentials
+ * are for the default workspace's server, and falling back to the
+ * workspace's configured user would act as someone else.
+ * @param {object} session - { client } of the MCP session
+ * @param {string} name - Workspace name, or nothing for the default
+ * @returns {object} - { workspace, client, schemaCache }
+ * @throws {FtrackPermissionError} - If an authenticated session asks for
+ *   another workspace
+ */
+function resolveWorkspace(session, name) {
+  const workspace = workspaces.get(name);
+  if (workspace !== workspaces.default && session.client !== serviceClient) {
+    throw new FtrackPermissionError(
+      `Workspace "${workspace.name}" is not available to sessions with their own ftrack credentials; only the default workspace "${workspaces.defaultName}" is`
+    );
+  }
+  return {
+    workspace: workspace.name,
+    client: workspace === workspaces.default ? session.client : workspace.client,
+    schemaCache: workspace.schemaCache,
+  };
+}
+
+/**
+ * Register a resource with every server instance
+ */
+function registerResource(...args) {
+  registrations.push((server) => server.resource(...args));
+}
+
+// Tools that do not talk to one particular workspace
+const WORKSPACE_INDEPENDENT_TOOLS = new Set(['ftrack_list_workspaces', 'ftrack_audit_log', 'ftrack_undo']);
+
+/**
+ * Register a tool with the server unless the tool policy excludes it.
+ * Read-only tools are annotated so clients can tell them apart, and tools
+ * that need confirmation get a confirmation_token argument. When several
+ * workspaces are defined, tools get a workspace argument. Handlers are
+ * called with { workspace, client, schemaCache, resolveWorkspace } merged
+ * into their second argument.
+ */
+function registerTool(name, description, schema, handler) {
+  if (!toolPolicy.isEnabled(name) || (LOCAL_FILE_TOOLS.has(name) && !localPaths.enabled)) {
+    return;
+  }
+  if (workspaces.names.length > 1 && !WORKSPACE_INDEPENDENT_TOOLS.has(name)) {
+    schema = {
+      ...schema,
+      workspace: z.string().optional().describe(`Workspace to run in: ${workspaces.names.join(', ')} (default: ${workspaces.defaultName})`),
+    };
+  }
+  const readOnly = toolPolicy.categoryOf(name) === 'read';
+  const annotations = { readOnlyHint: readOnly, destructiveHint: !readOnly };
+  if (!readOnly) {
+    handler = withAudit(name, handler);
+  }
+
+  if (requireConfirmation && CONFIRMATION_REQUIRED_TOOLS.has(name)) {
+    const condition = DELETE_CONFIRMATION_TOOLS[name] ? 'When it would delete entities, it requires' : 'Requires';
+    description = `${description}. ${condition} confirmation: the first call returns the affected entities and a confirmation_token; call again with the same arguments and the token to execute.`;
+    schema = {
+      ...schema,
+      confirmation_token: z.string().optional().describe('Token returned by the first call, to confirm and execute'),
+    };
+    handler = withConfirmation(name, handler);
+  }
+  registrations.push((server, session) => {
+    if (session.policy && !session.policy.isEnabled(name)) {
+      return;
+    }
+    server.tool(
+      name,
+      description,
+      schema,
+      annotations,
+      (args, extra) => {
+        let context;
+        try {
+          context = resolveWorkspace(session, args.workspace);
+        } catch (error) {
+          return errorResult(error);
+        }
+        return handler(args, {
+          ...extra,
+          ...context,
+          resolveWorkspace: (workspace) => resolveWorkspace(session, workspace),
+        });
+      }
+    );
+  });
+  enabledTools.push(name);
+}
+
+/**
+ * Wrap a tool handler so its calls are written to the audit log
+ */
+function withAudit(name, handler) {
+  return (args, extra) => auditLog.record(
+    name,
+    args,
+    { user: extra.client.apiUser, workspace: extra.workspace },
+    () => handler(args, extra)
+  );
+}
+
+/**
+ * Wrap a tool handler in the two-phase confirmation flow. Dry runs
+ * execute straight away since they do not change anything, and so do
+ * calls of DELETE_CONFIRMATION_TOOLS that would not delete anything.
+ */
+function withConfirmation(name, handler) {
+  return async ({ confirmation_token, ...args }, extra) => {
+    const { client } = extra;
+    if (args.dry_run || client.dryRun) {
+      return handler(args, extra);
+    }
+    try {
+      const deletes = DELETE_CONFIRMATION_TOOLS[name]
+        ? await DELETE_CONFIRMATION_TOOLS[name](args, { client, auditLog, resolveWorkspace: extra.resolveWorkspace })
+        : null;
+      if (deletes && deletes.operations.length === 0) {
+        return handler(args, extra);
+      }
+      if (!confirmation_token) {
+        const affected = deletes
+          ? await summarizeDeletes(deletes.client, deletes.operations)
+          : await summarizeTargets(client, args);
+        const { token, expiresAt } = confirmations.issue(name, args, client);
+        const result = {
+          confirmation_required: true,
+          tool: name,
+          arguments: args,
+          affected,
+          confirmation_token: token,
+          expires_at: expiresAt.toISOString(),
+          message: `Nothing has been changed yet. Review the affected entities, then call ${name} again with the same arguments and confirmation_token "${token}" to proceed.`,
+        };
+        return {
+          content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        };
+      }
+      confirmations.consume(confirmation_token, name, args, client);
+    } catch (error) {
+      return errorResult(error);
+    }
+    return handler(args, extra);
+  };
+}
+
+/**
+ * Build a tool error response. ftrack API errors are returned as structured
+ * JSON (category, exception, failing operation) so the assistant can recover.
+ */
+function errorResult(error) {
+  const detail = error instanceof FtrackApiError
+    ? error.toJSON()
+    : { error: error.name, message: error.message };
+  return {
+    content: [{ type: 'text', text: JSON.stringify(detail, null, 2) }],
+    isError: true,
+  };
+}
+
+/**
+ * Send MCP progress notifications for a tool call, if the client asked
+ * for them with a progress token
+ * @returns {Function} - (progress, total, message) => void
+ */
+function progressReporter(extra) {
+  const progressToken = extra._meta?.progressToken;
+  if (progressToken === undefined) {
+    return () => {};
+  }
+  return (progress, total, message) => {
+    extra.sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, total, message },
+    }).catch((error) => logger.debug(`Could not send progress notification: ${error.message}`));
+  };
+}
+
+/**
+ * Check the directory a local sequence pattern refers to against the
+ * allowed roots
+ */
+async function checkSequencePattern(pattern) {
+  await localPaths.check(dirname(framePath(parseSequence(pattern), 0)));
+}
+
+/**
+ * Wait for the job a tool started when it was called with wait: true
+ * @returns {Promise<object>} - The tool's result, plus the finished job
+ */
+async function withJob(client, result, wait, extra) {
+  if (!wait) {
+    return result;
+  }
+  const job = await waitForJob(client, jobIdOf(result), { signal: extra.signal, onProgress: progressReporter(extra) });
+  return { ...result, job };
+}
+
 // ============================================================
 // QUERY TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_query',
-  'Execute a query using ftrack query language. Example: "select id, name from Project where status is active"',
+  'Execute a query using ftrack query language, fetching all pages up to max_rows. Example: "select id, name from Project where status is active". When metadata.next_cursor is set, pass it back as cursor to fetch more.',
   {
     expression: z.string().describe('ftrack query expression (e.g., "select id, name from Project")'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
+    page_size: z.number().optional().describe('Rows fetched per request to the server'),
+    max_rows: z.number().optional().describe('Maximum rows to return across all pages (defaults to the expression limit or FTRACK_MAX_ROWS)'),
   },
-  async ({ expression }) => {
+  async ({ expression, cursor, page_size, max_rows }, { client }) => {
     try {
-      const result = await client.query(expression);
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        pageSize: page_size,
+        maxRows: max_rows,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_parse_query',
   'Parse a query expression without executing it (useful for validation)',
   {
     expression: z.string().describe('Query expression to parse'),
   },
-  async ({ expression }) => {
+  async ({ expression }, { client }) => {
     try {
       const result = await client.parseQuery(expression);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_query_schemas',
+  'Query all available entity schemas in ftrack. This is large; prefer ftrack_describe_entity_type for a single type.',
+  {},
+  async (_args, { schemaCache }) => {
+    try {
+      const result = await schemaCache.getSchemas();
       return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
-  'ftrack_query_schemas',
-  'Query all available entity schemas in ftrack',
+registerTool(
+  'ftrack_list_entity_types',
+  'List the names of all entity types known to the ftrack server',
   {},
-  async () => {
+  async (_args, { schemaCache }) => {
+    try {
+      const result = await schemaCache.getEntityTypes();
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_describe_entity_type',
+  'Describe one entity type: its attributes, relations, types and which attributes can be set',
+  {
+    entity_type: z.string().describe('Entity type to describe (e.g., "Task", "AssetVersion")'),
+  },
+  async ({ entity_type }, { schemaCache }) => {
     try {
-      const result = await client.querySchemas();
+      await assertEntityType(schemaCache, entity_type);
+      const result = await schemaCache.describeEntityType(entity_type);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_list_custom_attributes',
+  'List custom attribute configurations (key, label, type, object type)',
+  {
+    entity_type: z.string().optional().describe('Filter by configuration entity type (e.g., "task", "show", "assetversion")'),
+  },
+  async ({ entity_type }, { schemaCache }) => {
+    try {
+      const result = await schemaCache.getCustomAttributes(entity_type);
       return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_query_server_information',
   'Get ftrack server information including version and configuration',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
       const result = await client.queryServerInformation();
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_search',
   'Full-text search across ftrack entities',
   {
@@ -126,88 +494,244 @@ server.tool(
     context_id: z.string().optional().describe('Limit search to a specific context'),
     object_type_ids: z.array(z.string()).optional().describe('Filter by object type IDs'),
   },
-  async ({ expression, entity_type, terms, context_id, object_type_ids }) => {
+  async ({ expression, entity_type, terms, context_id, object_type_ids }, { client }) => {
     try {
       const result = await client.search(expression, entity_type, terms, context_id, object_type_ids);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+const filterSchema = z.lazy(() => z.union([
+  z.object({
+    attribute: z.string().describe('Attribute path (e.g., "name", "status.name")'),
+    operator: z.enum(['is', 'is_not', '>', '<', '>=', '<=', 'like', 'not_like', 'in', 'not_in']).optional().describe('Comparison operator (default "is")'),
+    value: z.any().describe('Value to compare against; an array for "in" / "not_in"'),
+  }),
+  z.object({ and: z.array(filterSchema) }),
+  z.object({ or: z.array(filterSchema) }),
+  z.object({ not: filterSchema }),
+  z.object({ any: z.object({ relation: z.string(), filter: filterSchema }) }),
+  z.object({ has: z.object({ relation: z.string(), filter: filterSchema }) }),
+]));
+
+registerTool(
+  'ftrack_query_structured',
+  'Query entities using JSON filters instead of raw query language. Values are escaped automatically.',
+  {
+    entity_type: z.string().describe('Entity type to query (e.g., "Task", "Shot")'),
+    select: z.array(z.string()).optional().describe('Attributes to return (e.g., ["id", "name", "status.name"])'),
+    filters: z.array(filterSchema).optional().describe('Filters combined with "and". Example: [{"attribute": "name", "operator": "like", "value": "sh01%"}, {"any": {"relation": "assignments", "filter": {"attribute": "resource.username", "value": "john"}}}]'),
+    order_by: z.array(z.object({
+      attribute: z.string(),
+      direction: z.enum(['ascending', 'descending']).optional().default('ascending'),
+    })).optional().describe('Sort order'),
+    limit: z.number().optional().describe('Maximum number of rows to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
+  },
+  async ({ entity_type, select: attributes, filters, order_by, limit, cursor }, { client }) => {
+    try {
+      const query = select(...(attributes || []))
+        .from(entity_type)
+        .where(...(filters || []).map(buildFilter));
+      for (const { attribute, direction } of order_by || []) {
+        query.orderBy(attribute, direction);
+      }
+      const result = formatPage(await client.queryAll(query.toString(), {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================
+// WORKSPACE TOOLS
+// ============================================================
+
+registerTool(
+  'ftrack_list_workspaces',
+  'List the ftrack workspaces (sites) this server can connect to. Pass a workspace name as the workspace argument of other tools to run them there.',
+  {},
+  async () => {
+    try {
+      const result = workspaces.list();
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================
+// CACHE TOOLS
+// ============================================================
+
+registerTool(
+  'ftrack_cache_clear',
+  'Clear cached reference data (statuses, types, priorities, security roles and schemas) so the next lookup reads it from ftrack. Use after changing these outside this server.',
+  {
+    entity_type: z.string().optional().describe('Only clear cached queries of this entity type (e.g. "Status"); omit to clear everything including schemas'),
+  },
+  async ({ entity_type }, { client, schemaCache }) => {
+    try {
+      let cleared = 0;
+      if (client.cache) {
+        cleared = entity_type ? client.cache.clear(entity_type) : client.cache.clear();
+      }
+      if (!entity_type) {
+        schemaCache.invalidate();
+      }
       return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
+        content: [{ type: 'text', text: JSON.stringify({ cleared, entity_type: entity_type ?? null }, null, 2) }],
       };
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
 
+// ============================================================
+// SCHEMA RESOURCES
+// ============================================================
+
+registerResource(
+  'ftrack-entity-types',
+  'ftrack://schema',
+  { description: 'Names of all ftrack entity types', mimeType: 'application/json' },
+  async (uri) => ({
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(await schemaCache.getEntityTypes(), null, 2),
+    }],
+  })
+);
+
+registerResource(
+  'ftrack-entity-schema',
+  new ResourceTemplate('ftrack://schema/{entityType}', {
+    list: async () => ({
+      resources: (await schemaCache.getEntityTypes()).map((entityType) => ({
+        uri: `ftrack://schema/${entityType}`,
+        name: entityType,
+        mimeType: 'application/json',
+      })),
+    }),
+    complete: {
+      entityType: async (value) => (await schemaCache.getEntityTypes())
+        .filter((entityType) => entityType.toLowerCase().startsWith(value.toLowerCase())),
+    },
+  }),
+  { description: 'Attributes and relations of one ftrack entity type', mimeType: 'application/json' },
+  async (uri, { entityType }) => {
+    const description = await schemaCache.describeEntityType(entityType);
+    if (!description) {
+      throw new Error(`Unknown entity type: ${entityType}`);
+    }
+    return {
+      contents: [{
+        uri: uri.href,
+        mimeType: 'application/json',
+        text: JSON.stringify(description, null, 2),
+      }],
+    };
+  }
+);
+
+registerResource(
+  'ftrack-custom-attributes',
+  'ftrack://custom-attributes',
+  { description: 'All custom attribute configurations', mimeType: 'application/json' },
+  async (uri) => ({
+    contents: [{
+      uri: uri.href,
+      mimeType: 'application/json',
+      text: JSON.stringify(await schemaCache.getCustomAttributes(), null, 2),
+    }],
+  })
+);
+
 // ============================================================
 // CRUD TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_create',
   'Create a new entity in ftrack',
   {
     entity_type: z.string().describe('Type of entity to create (e.g., "Task", "Project", "AssetVersion")'),
     entity_data: z.record(z.any()).describe('Entity data as key-value pairs'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ entity_type, entity_data }) => {
+  async ({ entity_type, entity_data, skip_validation, dry_run }, { client, schemaCache }) => {
     try {
-      const result = await client.create(entity_type, entity_data);
+      if (validatePayloads && !skip_validation) {
+        await validateEntityData(schemaCache, entity_type, entity_data, 'create');
+      }
+      const result = await client.withDryRun(dry_run).create(entity_type, entity_data);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_update',
   'Update an existing entity in ftrack',
   {
     entity_type: z.string().describe('Type of entity to update'),
     entity_id: z.string().describe('ID of the entity to update'),
     entity_data: z.record(z.any()).describe('Data to update as key-value pairs'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ entity_type, entity_id, entity_data }) => {
+  async ({ entity_type, entity_id, entity_data, skip_validation, dry_run }, { client, schemaCache }) => {
     try {
-      const result = await client.update(entity_type, entity_id, entity_data);
+      if (validatePayloads && !skip_validation) {
+        await validateEntityData(schemaCache, entity_type, entity_data, 'update');
+      }
+      const result = await client.withDryRun(dry_run).update(entity_type, entity_id, entity_data);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_delete',
   'Delete an entity from ftrack',
   {
     entity_type: z.string().describe('Type of entity to delete'),
     entity_id: z.string().describe('ID of the entity to delete'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ entity_type, entity_id }) => {
+  async ({ entity_type, entity_id, dry_run }, { client }) => {
     try {
-      const result = await client.delete(entity_type, entity_id);
+      const result = await client.withDryRun(dry_run).delete(entity_type, entity_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -216,51 +740,45 @@ server.tool(
 // USER SECURITY ROLE TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_add_user_security_role',
   'Add a security role to a user',
   {
     user_id: z.string().describe('User ID'),
     security_role_id: z.string().describe('Security role ID to add'),
   },
-  async ({ user_id, security_role_id }) => {
+  async ({ user_id, security_role_id }, { client }) => {
     try {
       const result = await client.addUserSecurityRole(user_id, security_role_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_remove_user_security_role',
   'Remove a security role from a user',
   {
     user_id: z.string().describe('User ID'),
     security_role_id: z.string().describe('Security role ID to remove'),
   },
-  async ({ user_id, security_role_id }) => {
+  async ({ user_id, security_role_id }, { client }) => {
     try {
       const result = await client.removeUserSecurityRole(user_id, security_role_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_update_user_security_role',
   'Update a user security role (e.g., activate/deactivate)',
   {
@@ -268,22 +786,19 @@ server.tool(
     security_role_id: z.string().describe('Security role ID'),
     is_active: z.boolean().optional().default(true).describe('Whether the role should be active'),
   },
-  async ({ user_id, security_role_id, is_active }) => {
+  async ({ user_id, security_role_id, is_active }, { client }) => {
     try {
       const result = await client.updateUserSecurityRole(user_id, security_role_id, is_active);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_grant_user_security_role_project',
   'Grant a user security role access to a specific project',
   {
@@ -291,22 +806,19 @@ server.tool(
     security_role_id: z.string().describe('Security role ID'),
     project_id: z.string().describe('Project ID to grant access to'),
   },
-  async ({ user_id, security_role_id, project_id }) => {
+  async ({ user_id, security_role_id, project_id }, { client }) => {
     try {
       const result = await client.grantUserSecurityRoleProject(user_id, security_role_id, project_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_revoke_user_security_role_project',
   'Revoke a user security role access from a specific project',
   {
@@ -314,17 +826,14 @@ server.tool(
     security_role_id: z.string().describe('Security role ID'),
     project_id: z.string().describe('Project ID to revoke access from'),
   },
-  async ({ user_id, security_role_id, project_id }) => {
+  async ({ user_id, security_role_id, project_id }, { client }) => {
     try {
       const result = await client.revokeUserSecurityRoleProject(user_id, security_role_id, project_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -333,64 +842,55 @@ server.tool(
 // USER IDENTITY TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_assume_user',
   'Assume another user identity (requires admin privileges)',
   {
     user_id: z.string().describe('User ID to assume'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.assumeUser(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_un_assume_user',
   'Stop assuming another user identity and return to original identity',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
       const result = await client.unAssumeUser();
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_send_user_invite',
   'Send an invitation email to a user',
   {
     user_id: z.string().describe('User ID to invite'),
     email: z.string().optional().describe('Email address (optional, uses user email if not provided)'),
   },
-  async ({ user_id, email }) => {
+  async ({ user_id, email }, { client }) => {
     try {
       const result = await client.sendUserInvite(user_id, email);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -399,90 +899,78 @@ server.tool(
 // API KEY MANAGEMENT TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_grant_api_key_project',
   'Grant an API key access to a project',
   {
     api_key_id: z.string().describe('API key ID'),
     project_id: z.string().describe('Project ID to grant access to'),
   },
-  async ({ api_key_id, project_id }) => {
+  async ({ api_key_id, project_id }, { client }) => {
     try {
       const result = await client.grantApiKeyProject(api_key_id, project_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_revoke_api_key_project',
   'Revoke an API key access from a project',
   {
     api_key_id: z.string().describe('API key ID'),
     project_id: z.string().describe('Project ID to revoke access from'),
   },
-  async ({ api_key_id, project_id }) => {
+  async ({ api_key_id, project_id }, { client }) => {
     try {
       const result = await client.revokeApiKeyProject(api_key_id, project_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_grant_api_key_security_role',
   'Grant a security role to an API key',
   {
     api_key_id: z.string().describe('API key ID'),
     security_role_id: z.string().describe('Security role ID to grant'),
   },
-  async ({ api_key_id, security_role_id }) => {
+  async ({ api_key_id, security_role_id }, { client }) => {
     try {
       const result = await client.grantApiKeySecurityRole(api_key_id, security_role_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_revoke_api_key_security_role',
   'Revoke a security role from an API key',
   {
     api_key_id: z.string().describe('API key ID'),
     security_role_id: z.string().describe('Security role ID to revoke'),
   },
-  async ({ api_key_id, security_role_id }) => {
+  async ({ api_key_id, security_role_id }, { client }) => {
     try {
       const result = await client.revokeApiKeySecurityRole(api_key_id, security_role_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -491,87 +979,75 @@ server.tool(
 // 2FA / OTP TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_configure_otp',
   'Configure OTP (One-Time Password) for a user',
   {
     user_id: z.string().describe('User ID'),
     otp_type: z.string().describe('OTP type (e.g., "totp", "email")'),
   },
-  async ({ user_id, otp_type }) => {
+  async ({ user_id, otp_type }, { client }) => {
     try {
       const result = await client.configureOtp(user_id, otp_type);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_configure_totp',
   'Configure TOTP (Time-based One-Time Password) for a user',
   {
     user_id: z.string().describe('User ID'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.configureTotp(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_generate_totp',
   'Generate a new TOTP secret for a user',
   {
     user_id: z.string().describe('User ID'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.generateTotp(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_disable_2fa',
   'Disable two-factor authentication for a user',
   {
     user_id: z.string().describe('User ID'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.disable2FA(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -580,7 +1056,7 @@ server.tool(
 // FILE / MEDIA TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_get_upload_metadata',
   'Get metadata required for uploading a file to ftrack',
   {
@@ -589,22 +1065,19 @@ server.tool(
     file_name: z.string().optional().describe('Name of the file'),
     checksum: z.string().optional().describe('MD5 checksum of the file (base64 encoded)'),
   },
-  async ({ component_id, file_size, file_name, checksum }) => {
+  async ({ component_id, file_size, file_name, checksum }, { client }) => {
     try {
       const result = await client.getUploadMetadata(component_id, file_size, file_name, checksum);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_complete_multipart_upload',
   'Complete a multipart upload after all parts have been uploaded',
   {
@@ -615,61 +1088,268 @@ server.tool(
       etag: z.string(),
     })).describe('Array of uploaded parts with part numbers and ETags'),
   },
-  async ({ component_id, upload_id, parts }) => {
+  async ({ component_id, upload_id, parts }, { client }) => {
     try {
       const result = await client.completeMultipartUpload(component_id, upload_id, parts);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_upload_file',
+  'Upload a local file to ftrack: creates a FileComponent, computes its MD5 checksum, uploads the bytes (multipart with parallel parts for large files) and adds the component to the server location. If an upload fails, call again with the returned component_id to retry into the same component.',
+  {
+    path: z.string().describe('Path of the local file to upload'),
+    name: z.string().optional().describe('Component name (defaults to the file name without extension)'),
+    version_id: z.string().optional().describe('AssetVersion to attach the component to'),
+    component_id: z.string().optional().describe('Component of an earlier failed upload to retry into'),
+    concurrency: z.number().optional().default(DEFAULT_UPLOAD_CONCURRENCY).describe('Parts uploaded at once for multipart uploads'),
+  },
+  async ({ path, name, version_id, component_id, concurrency }, extra) => {
+    const { client } = extra;
+    const report = progressReporter(extra);
+    let componentId = component_id ?? null;
+    try {
+      const result = await uploadFile(client, await localPaths.check(path), {
+        componentId,
+        name,
+        versionId: version_id,
+        concurrency,
+        onComponent: (id) => { componentId = id; },
+        onProgress: (sent, size) => report(sent, size, `Uploaded ${sent} of ${size} bytes`),
+      });
       return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
+    } catch (error) {
+      const failed = errorResult(error);
+      if (componentId) {
+        failed.content.push({
+          type: 'text',
+          text: JSON.stringify({ component_id: componentId, message: 'Call ftrack_upload_file again with this component_id to retry the upload' }, null, 2),
+        });
+      }
+      return failed;
+    }
+  }
+);
+
+registerTool(
+  'ftrack_publish_version',
+  'Publish local files and image sequences as a new version of a task: creates the asset if it does not exist yet, the AssetVersion and one FileComponent per file (or a SequenceComponent with one member per frame for a sequence pattern) in a single transaction, uploads the files and optionally starts encoding for review. If an upload fails, the new version is removed again. Returns the version number and component IDs.',
+  {
+    task_id: z.string().describe('Task ID or path (e.g. "proj/seq010/sh0100/comp")'),
+    asset_name: z.string().describe('Asset name, e.g. "comp" or "plate"; an existing asset of the same name and type on the task parent is reused'),
+    asset_type: z.string().optional().default('Upload').describe('Asset type name or short name (e.g. "Upload", "Geometry", "img")'),
+    comment: z.string().optional().default('').describe('Version comment'),
+    status: z.string().optional().describe('Status ID or name for the new version'),
+    files: z.array(z.object({
+      path: z.string().describe('Path of the local file, or a sequence pattern such as "/shots/sh0100/plate.%04d.exr [1001-1100]"'),
+      name: z.string().optional().describe('Component name (defaults to the file name without extension), e.g. "main"'),
+      encode: z.boolean().optional().describe('Start encode_media for this component so it can be reviewed in ftrack'),
+    })).describe('Files to publish, one component each'),
+    concurrency: z.number().optional().default(DEFAULT_UPLOAD_CONCURRENCY).describe('Parts uploaded at once for multipart uploads'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
+    dry_run: z.boolean().optional().default(false).describe('Return what would be created instead of publishing'),
+  },
+  async ({ task_id, asset_name, asset_type, comment, status, files, concurrency, skip_validation, dry_run }, extra) => {
+    const { client, schemaCache } = extra;
+    try {
+      const checked = [];
+      for (const file of files) {
+        checked.push({ ...file, path: await localPaths.check(file.path) });
+      }
+      const plan = await planPublish(client, {
+        taskId: await resolveContext(client, task_id, { entityType: 'Task' }),
+        assetName: asset_name,
+        assetType: asset_type,
+        comment,
+        statusId: status ? await resolveStatus(client, status) : null,
+        files: checked,
+      });
+      if (validatePayloads && !skip_validation) {
+        await validateOperations(schemaCache, plan.operations);
+      }
+      const result = dry_run
+        ? { dry_run: true, asset: plan.asset, operations: plan.operations }
+        : await executePublish(client, plan, { concurrency, onProgress: progressReporter(extra) });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_upload_sequence',
+  'Upload an image sequence such as "/shots/sh0100/plate.%04d.exr [1001-1100]" as a SequenceComponent with one member FileComponent per frame. Without a range all frames found on disk are used; frames missing on disk are reported instead of uploading. If the upload fails, call again with the returned component_id to upload the remaining frames.',
+  {
+    pattern: z.string().describe('Sequence pattern: frame number as %04d or ####, optional range in brackets, e.g. "/path/plate.%04d.exr [1001-1100]"'),
+    name: z.string().optional().describe('Component name (defaults to the file name head, e.g. "plate")'),
+    version_id: z.string().optional().describe('AssetVersion to attach the component to'),
+    component_id: z.string().optional().describe('SequenceComponent of an earlier failed upload to continue'),
+    concurrency: z.number().optional().default(DEFAULT_UPLOAD_CONCURRENCY).describe('Frames uploaded at once'),
+  },
+  async ({ pattern, name, version_id, component_id, concurrency }, extra) => {
+    const { client } = extra;
+    let componentId = component_id ?? null;
+    try {
+      await checkSequencePattern(pattern);
+      const result = await uploadSequence(client, pattern, {
+        componentId,
+        name,
+        versionId: version_id,
+        concurrency,
+        onComponent: (id) => { componentId = id; },
+        onProgress: progressReporter(extra),
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      const failed = errorResult(error);
+      if (componentId) {
+        failed.content.push({
+          type: 'text',
+          text: JSON.stringify({ component_id: componentId, message: 'Call ftrack_upload_sequence again with this component_id to upload the remaining frames' }, null, 2),
+        });
+      }
+      return failed;
     }
   }
 );
 
-server.tool(
+registerTool(
+  'ftrack_get_sequence_frames',
+  'List the frame ranges of a SequenceComponent and/or of a sequence on local disk, and the frames missing on either side. Pass component_id, local_pattern or both.',
+  {
+    component_id: z.string().optional().describe('SequenceComponent ID'),
+    local_pattern: z.string().optional().describe('Local sequence pattern, e.g. "/path/plate.%04d.exr" or "/path/plate.####.exr [1001-1100]"'),
+  },
+  async ({ component_id, local_pattern }, { client }) => {
+    try {
+      if (!component_id && !local_pattern) {
+        throw new FtrackValidationError('Pass component_id, local_pattern or both');
+      }
+      const result = {};
+      let remoteFrames = null;
+      if (component_id) {
+        const { members, ...component } = await describeSequenceComponent(client, component_id);
+        remoteFrames = [...members.keys()];
+        result.component = component;
+      }
+      if (local_pattern) {
+        await checkSequencePattern(local_pattern);
+        const { sequence, frames, missing } = await localFrames(local_pattern);
+        const absent = new Set(missing);
+        const present = frames.filter((frame) => !absent.has(frame));
+        result.local = {
+          pattern: formatSequence({ ...sequence, frames: present }),
+          frame_count: present.length,
+          ranges: formatFrameRanges(present),
+          missing: formatFrameRanges(missing),
+        };
+        if (remoteFrames) {
+          const { missing: notLocal, extra: notInFtrack } = compareFrames(remoteFrames, present);
+          result.comparison = {
+            missing_locally: formatFrameRanges(notLocal),
+            not_in_ftrack: formatFrameRanges(notInFtrack),
+          };
+        }
+      }
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_download_component',
+  'Download a component to a local directory through a signed URL, checking the size and, where the storage reports one, the MD5 checksum. Pass component_id, or task_id to download a component of the latest version published for that task. Sequence components are downloaded as their member files.',
+  {
+    destination: z.string().describe('Local directory to download into (created if missing)'),
+    component_id: z.string().optional().describe('Component ID'),
+    task_id: z.string().optional().describe('Task ID or path; downloads from the latest version of the task instead'),
+    asset_name: z.string().optional().describe('With task_id: only consider versions of this asset'),
+    component_name: z.string().optional().default(DEFAULT_COMPONENT_NAME).describe('With task_id: component to download from the version'),
+    overwrite: z.boolean().optional().default(false).describe('Replace existing local files (files of the expected size are skipped otherwise)'),
+    concurrency: z.number().optional().default(DEFAULT_DOWNLOAD_CONCURRENCY).describe('Files downloaded at once for sequence components'),
+  },
+  async ({ destination, component_id, task_id, asset_name, component_name, overwrite, concurrency }, extra) => {
+    const { client } = extra;
+    const report = progressReporter(extra);
+    try {
+      if (Boolean(component_id) === Boolean(task_id)) {
+        throw new FtrackValidationError('Pass either component_id or task_id');
+      }
+      let componentId = component_id;
+      let version;
+      if (task_id) {
+        ({ componentId, version } = await latestComponent(client, await resolveContext(client, task_id, { entityType: 'Task' }), {
+          assetName: asset_name,
+          componentName: component_name,
+        }));
+      }
+      const result = await downloadComponent(client, componentId, await localPaths.check(destination), {
+        overwrite,
+        concurrency,
+        onProgress: (received, total) => report(received, total, `Downloaded ${received} of ${total} bytes`),
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(version ? { ...result, version } : result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
   'ftrack_generate_signed_url',
   'Generate a signed URL for accessing or uploading a component',
   {
     component_id: z.string().describe('Component ID'),
     operation: z.enum(['get', 'put']).optional().default('get').describe('Operation type: "get" for download, "put" for upload'),
   },
-  async ({ component_id, operation }) => {
+  async ({ component_id, operation }, { client }) => {
     try {
       const result = await client.generateSignedUrl(component_id, operation);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_encode_media',
   'Trigger media encoding/transcoding for a component',
   {
     component_id: z.string().describe('Component ID to encode'),
     options: z.record(z.any()).optional().describe('Additional encoding options'),
+    wait: z.boolean().optional().default(false).describe('Wait for the job to finish and return its final status (see ftrack_wait_for_job)'),
   },
-  async ({ component_id, options }) => {
+  async ({ component_id, options, wait }, extra) => {
+    const { client } = extra;
     try {
-      const result = await client.encodeMedia(component_id, options || {});
+      const result = await withJob(client, await client.encodeMedia(component_id, options || {}), wait, extra);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -678,7 +1358,7 @@ server.tool(
 // ENTITY CONVERSION TOOL
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_convert_entity',
   'Convert an entity from one type to another',
   {
@@ -686,17 +1366,14 @@ server.tool(
     entity_id: z.string().describe('Entity ID to convert'),
     target_type: z.string().describe('Target entity type'),
   },
-  async ({ entity_type, entity_id, target_type }) => {
+  async ({ entity_type, entity_id, target_type }, { client }) => {
     try {
       const result = await client.convertEntity(entity_type, entity_id, target_type);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -705,7 +1382,7 @@ server.tool(
 // PERMISSIONS TOOL
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_permissions',
   'Check permissions for an entity',
   {
@@ -713,17 +1390,14 @@ server.tool(
     entity_id: z.string().describe('Entity ID'),
     actions: z.array(z.string()).optional().describe('Specific actions to check (e.g., ["read", "write", "delete"])'),
   },
-  async ({ entity_type, entity_id, actions }) => {
+  async ({ entity_type, entity_id, actions }, { client }) => {
     try {
       const result = await client.permissions(entity_type, entity_id, actions);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -732,23 +1406,20 @@ server.tool(
 // STORAGE TOOL
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_storage_usage',
   'Get storage usage information',
   {
     project_id: z.string().optional().describe('Project ID (optional, returns global usage if not specified)'),
   },
-  async ({ project_id }) => {
+  async ({ project_id }, { client }) => {
     try {
       const result = await client.storageUsage(project_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -757,7 +1428,7 @@ server.tool(
 // REVIEW SESSION TOOL
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_send_review_session_invite',
   'Send an invitation to participate in a review session',
   {
@@ -766,17 +1437,14 @@ server.tool(
     name: z.string().optional().describe('Name of the invitee'),
     message: z.string().optional().describe('Custom message to include in the invitation'),
   },
-  async ({ review_session_id, email, name, message }) => {
+  async ({ review_session_id, email, name, message }, { client }) => {
     try {
       const result = await client.sendReviewSessionInvite(review_session_id, email, name, message);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -785,44 +1453,38 @@ server.tool(
 // RESET TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_reset_remote_api_key',
   'Reset a user remote API key',
   {
     user_id: z.string().describe('User ID'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.resetRemoteApiKey(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_reset_remote_password',
   'Reset a user remote password',
   {
     user_id: z.string().describe('User ID'),
   },
-  async ({ user_id }) => {
+  async ({ user_id }, { client }) => {
     try {
       const result = await client.resetRemotePassword(user_id);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -831,110 +1493,127 @@ server.tool(
 // DELAYED JOB TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
+  'ftrack_wait_for_job',
+  'Wait for a Job (from a delayed job tool or ftrack_encode_media) to finish by polling its status. Returns the final status (done, failed or killed), the result data and attached components. If the job is still running when the timeout passes, returns it with timed_out: true; call again to keep waiting.',
+  {
+    job_id: z.string().describe('Job ID'),
+    timeout_seconds: z.number().min(0).max(MAX_JOB_TIMEOUT_SECONDS).optional().default(DEFAULT_JOB_TIMEOUT_SECONDS).describe(`How long to wait before returning, at most ${MAX_JOB_TIMEOUT_SECONDS}`),
+    poll_interval_seconds: z.number().min(MIN_JOB_POLL_INTERVAL_SECONDS).optional().default(DEFAULT_JOB_POLL_INTERVAL_SECONDS).describe(`Seconds between status checks, at least ${MIN_JOB_POLL_INTERVAL_SECONDS}`),
+  },
+  async ({ job_id, timeout_seconds, poll_interval_seconds }, extra) => {
+    const { client } = extra;
+    try {
+      const job = await waitForJob(client, job_id, {
+        timeoutSeconds: timeout_seconds,
+        intervalSeconds: poll_interval_seconds,
+        signal: extra.signal,
+        onProgress: progressReporter(extra),
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(job, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
   'ftrack_csv_import_delayed_job',
   'Create a CSV import delayed job',
   {
     job_data: z.record(z.any()).describe('CSV import job data'),
+    wait: z.boolean().optional().default(false).describe('Wait for the job to finish and return its final status (see ftrack_wait_for_job)'),
   },
-  async ({ job_data }) => {
+  async ({ job_data, wait }, extra) => {
+    const { client } = extra;
     try {
-      const result = await client.csvImportDelayedJob(job_data);
+      const result = await withJob(client, await client.csvImportDelayedJob(job_data), wait, extra);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_delete_delayed_job',
   'Create a delete delayed job for batch entity deletion',
   {
     entity_type: z.string().describe('Entity type to delete'),
     entity_id: z.string().describe('Entity ID to delete'),
+    wait: z.boolean().optional().default(false).describe('Wait for the job to finish and return its final status (see ftrack_wait_for_job)'),
   },
-  async ({ entity_type, entity_id }) => {
+  async ({ entity_type, entity_id, wait }, extra) => {
+    const { client } = extra;
     try {
-      const result = await client.deleteDelayedJob(entity_type, entity_id);
+      const result = await withJob(client, await client.deleteDelayedJob(entity_type, entity_id), wait, extra);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_export_review_session_feedback_delayed_job',
   'Export review session feedback as a delayed job',
   {
     review_session_id: z.string().describe('Review session ID'),
     options: z.record(z.any()).optional().describe('Export options'),
+    wait: z.boolean().optional().default(false).describe('Wait for the job to finish and return its final status (see ftrack_wait_for_job)'),
   },
-  async ({ review_session_id, options }) => {
+  async ({ review_session_id, options, wait }, extra) => {
+    const { client } = extra;
     try {
-      const result = await client.exportReviewSessionFeedbackDelayedJob(review_session_id, options || {});
+      const result = await withJob(client, await client.exportReviewSessionFeedbackDelayedJob(review_session_id, options || {}), wait, extra);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_iconik_sync_structure_delayed_job',
   'Sync structure to iconik as a delayed job',
   {
     project_id: z.string().describe('Project ID to sync'),
     options: z.record(z.any()).optional().describe('Sync options'),
   },
-  async ({ project_id, options }) => {
+  async ({ project_id, options }, { client }) => {
     try {
       const result = await client.iconikSyncStructureDelayedJob(project_id, options || {});
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_sync_ldap_users_delayed_job',
   'Sync LDAP users as a delayed job',
   {
     options: z.record(z.any()).optional().describe('LDAP sync options'),
   },
-  async ({ options }) => {
+  async ({ options }, { client }) => {
     try {
       const result = await client.syncLdapUsersDelayedJob(options || {});
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -943,7 +1622,7 @@ server.tool(
 // BATCH OPERATIONS TOOL
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_batch',
   'Execute multiple operations in a single transaction (all succeed or all fail)',
   {
@@ -954,18 +1633,20 @@ server.tool(
       entity_key: z.array(z.string()).optional().describe('Entity key/ID'),
       expression: z.string().optional().describe('Query expression (for query action)'),
     })).describe('Array of operations to execute'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ operations }) => {
+  async ({ operations, skip_validation, dry_run }, { client, schemaCache }) => {
     try {
-      const result = await client.batch(operations);
+      if (validatePayloads && !skip_validation) {
+        await validateOperations(schemaCache, operations);
+      }
+      const result = await client.withDryRun(dry_run).batch(operations);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
@@ -974,209 +1655,213 @@ server.tool(
 // CONVENIENCE / HELPER TOOLS
 // ============================================================
 
-server.tool(
+registerTool(
   'ftrack_list_projects',
   'List all projects (convenience wrapper for query)',
   {
     include_archived: z.boolean().optional().default(false).describe('Include archived projects'),
     limit: z.number().optional().default(100).describe('Maximum number of projects to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
   },
-  async ({ include_archived, limit }) => {
+  async ({ include_archived, limit, cursor }, { client }) => {
     try {
-      let expression = `select id, name, full_name, status, start_date, end_date from Project`;
-      if (!include_archived) {
-        expression += ` where status.name != "archived"`;
-      }
-      expression += ` limit ${limit}`;
-      const result = await client.query(expression);
+      const expression = select('id', 'name', 'full_name', 'status', 'start_date', 'end_date')
+        .from('Project')
+        .where(!include_archived && ne('status.name', 'archived'))
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_tasks',
-  'List tasks for a project or context',
+  'List tasks for a project or context. Projects, contexts and users can be given by ID or by name.',
   {
-    project_id: z.string().optional().describe('Project ID to filter by'),
-    parent_id: z.string().optional().describe('Parent context ID to filter by'),
-    assignee_id: z.string().optional().describe('User ID to filter by assignee'),
+    project_id: z.string().optional().describe('Project ID or short name to filter by'),
+    parent_id: z.string().optional().describe('Parent context ID or path (e.g. "proj/seq010/sh0100") to filter by'),
+    assignee_id: z.string().optional().describe('User ID, username or email to filter by assignee'),
     status: z.string().optional().describe('Status name to filter by'),
     limit: z.number().optional().default(100).describe('Maximum number of tasks to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
   },
-  async ({ project_id, parent_id, assignee_id, status, limit }) => {
-    try {
-      let expression = `select id, name, type.name, status.name, priority.name, start_date, end_date, assignments.resource.username from Task`;
-      const conditions = [];
-      if (project_id) conditions.push(`project_id is "${project_id}"`);
-      if (parent_id) conditions.push(`parent_id is "${parent_id}"`);
-      if (assignee_id) conditions.push(`assignments any (resource_id is "${assignee_id}")`);
-      if (status) conditions.push(`status.name is "${status}"`);
-      if (conditions.length > 0) {
-        expression += ` where ${conditions.join(' and ')}`;
-      }
-      expression += ` limit ${limit}`;
-      const result = await client.query(expression);
+  async ({ project_id, parent_id, assignee_id, status, limit, cursor }, { client }) => {
+    try {
+      const projectId = project_id && await resolveProject(client, project_id);
+      const parentId = parent_id && await resolveContext(client, parent_id);
+      const assigneeId = assignee_id && await resolveUser(client, assignee_id);
+      const expression = select('id', 'name', 'type.name', 'status.name', 'priority.name', 'start_date', 'end_date', 'assignments.resource.username')
+        .from('Task')
+        .where(
+          projectId && eq('project_id', projectId),
+          parentId && eq('parent_id', parentId),
+          assigneeId && any('assignments', eq('resource_id', assigneeId)),
+          status && eq('status.name', status),
+        )
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_users',
   'List all users',
   {
     include_inactive: z.boolean().optional().default(false).describe('Include inactive users'),
     limit: z.number().optional().default(100).describe('Maximum number of users to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
   },
-  async ({ include_inactive, limit }) => {
+  async ({ include_inactive, limit, cursor }, { client }) => {
     try {
-      let expression = `select id, username, first_name, last_name, email, is_active from User`;
-      if (!include_inactive) {
-        expression += ` where is_active is true`;
-      }
-      expression += ` limit ${limit}`;
-      const result = await client.query(expression);
+      const expression = select('id', 'username', 'first_name', 'last_name', 'email', 'is_active')
+        .from('User')
+        .where(!include_inactive && eq('is_active', true))
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_asset_versions',
   'List asset versions for a task or asset',
   {
     asset_id: z.string().optional().describe('Asset ID to filter by'),
     task_id: z.string().optional().describe('Task ID to filter by'),
     limit: z.number().optional().default(50).describe('Maximum number of versions to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
   },
-  async ({ asset_id, task_id, limit }) => {
-    try {
-      let expression = `select id, version, asset.name, task.name, user.username, date, comment from AssetVersion`;
-      const conditions = [];
-      if (asset_id) conditions.push(`asset_id is "${asset_id}"`);
-      if (task_id) conditions.push(`task_id is "${task_id}"`);
-      if (conditions.length > 0) {
-        expression += ` where ${conditions.join(' and ')}`;
-      }
-      expression += ` order by version descending limit ${limit}`;
-      const result = await client.query(expression);
+  async ({ asset_id, task_id, limit, cursor }, { client }) => {
+    try {
+      const expression = select('id', 'version', 'asset.name', 'task.name', 'user.username', 'date', 'comment')
+        .from('AssetVersion')
+        .where(
+          asset_id && eq('asset_id', asset_id),
+          task_id && eq('task_id', task_id),
+        )
+        .orderBy('version', 'descending')
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_statuses',
   'List all available statuses',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
-      const result = await client.query('select id, name, color, sort from Status order by sort');
+      const result = await client.query(
+        select('id', 'name', 'color', 'sort').from('Status').orderBy('sort').toString()
+      );
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_types',
   'List all available task/object types',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
-      const result = await client.query('select id, name, sort from Type order by sort');
+      const result = await client.query(
+        select('id', 'name', 'sort').from('Type').orderBy('sort').toString()
+      );
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_priorities',
   'List all available priorities',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
-      const result = await client.query('select id, name, color, sort from Priority order by sort');
+      const result = await client.query(
+        select('id', 'name', 'color', 'sort').from('Priority').orderBy('sort').toString()
+      );
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_get_entity',
   'Get a single entity by type and ID with specified projections',
   {
     entity_type: z.string().describe('Entity type (e.g., "Task", "Project", "User")'),
     entity_id: z.string().describe('Entity ID'),
     projections: z.array(z.string()).optional().describe('Attributes to return (e.g., ["id", "name", "status.name"])'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
   },
-  async ({ entity_type, entity_id, projections }) => {
+  async ({ entity_type, entity_id, projections, skip_validation }, { client, schemaCache }) => {
     try {
-      const attrs = projections?.length ? projections.join(', ') : '*';
-      const expression = `select ${attrs} from ${entity_type} where id is "${entity_id}"`;
+      if (validatePayloads && !skip_validation && projections?.length) {
+        await validateProjections(schemaCache, entity_type, projections);
+      }
+      const expression = select(...(projections || []))
+        .from(entity_type)
+        .where(eq('id', entity_id))
+        .toString();
       const result = await client.query(expression);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_create_note',
   'Create a note on an entity',
   {
@@ -1184,8 +1869,9 @@ server.tool(
     entity_id: z.string().describe('Entity ID to add note to'),
     content: z.string().describe('Note content'),
     author_id: z.string().optional().describe('Author user ID (defaults to API user)'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ entity_type, entity_id, content, author_id }) => {
+  async ({ entity_type, entity_id, content, author_id, dry_run }, { client }) => {
     try {
       const noteData = {
         content,
@@ -1193,133 +1879,346 @@ server.tool(
         parent_id: entity_id,
       };
       if (author_id) noteData.author_id = author_id;
-      const result = await client.create('Note', noteData);
+      const result = await client.withDryRun(dry_run).create('Note', noteData);
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_notes',
   'List notes for an entity',
   {
     entity_type: z.string().describe('Entity type'),
     entity_id: z.string().describe('Entity ID'),
     limit: z.number().optional().default(50).describe('Maximum number of notes to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
   },
-  async ({ entity_type, entity_id, limit }) => {
+  async ({ entity_type, entity_id, limit, cursor }, { client }) => {
     try {
-      const expression = `select id, content, author.username, date from Note where parent_type is "${entity_type}" and parent_id is "${entity_id}" order by date descending limit ${limit}`;
-      const result = await client.query(expression);
+      const expression = select('id', 'content', 'author.username', 'date')
+        .from('Note')
+        .where(eq('parent_type', entity_type), eq('parent_id', entity_id))
+        .orderBy('date', 'descending')
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_update_task_status',
-  'Update the status of a task',
+  'Update the status of one or more tasks. Tasks and status can be given by ID or by path and name. The status must be part of the workflow for the task type in the project schema; if it is not, nothing is changed and the allowed statuses are listed.',
   {
-    task_id: z.string().describe('Task ID'),
-    status_id: z.string().describe('New status ID'),
+    task_id: z.string().optional().describe('Task ID or path (e.g. "proj/seq010/sh0100/comp")'),
+    task_ids: z.array(z.string()).optional().describe('Several task IDs or paths to move to the same status in one request'),
+    status_id: z.string().describe('New status ID or name (e.g. "In Progress")'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking the status against the task workflows first'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ task_id, status_id }) => {
+  async ({ task_id, task_ids, status_id, skip_validation, dry_run }, { client }) => {
     try {
-      const result = await client.update('Task', task_id, { status_id });
+      const references = [...(task_id ? [task_id] : []), ...(task_ids ?? [])];
+      if (references.length === 0) {
+        throw new FtrackValidationError('Pass task_id or task_ids');
+      }
+      const taskIds = [];
+      for (const reference of references) {
+        taskIds.push(await resolveContext(client, reference, { entityType: 'Task' }));
+      }
+      const statusId = await resolveStatus(client, status_id);
+      if (!skip_validation) {
+        await assertTaskStatusAllowed(client, taskIds, statusId, status_id);
+      }
+      const result = task_ids
+        ? await client.withDryRun(dry_run).batch(taskIds.map((taskId) => ({
+          action: 'update',
+          entity_type: 'Task',
+          entity_key: [taskId],
+          entity_data: { status_id: statusId },
+        })))
+        : await client.withDryRun(dry_run).update('Task', taskIds[0], { status_id: statusId });
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_assign_user_to_task',
-  'Assign a user to a task',
+  'Assign a user to a task. The task and user can be given by ID or by path and username.',
   {
-    task_id: z.string().describe('Task ID'),
-    user_id: z.string().describe('User ID to assign'),
+    task_id: z.string().describe('Task ID or path (e.g. "proj/seq010/sh0100/comp")'),
+    user_id: z.string().describe('ID, username or email of the user to assign'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
   },
-  async ({ task_id, user_id }) => {
+  async ({ task_id, user_id, dry_run }, { client }) => {
     try {
-      const result = await client.create('Appointment', {
-        context_id: task_id,
-        resource_id: user_id,
+      const taskId = await resolveContext(client, task_id, { entityType: 'Task' });
+      const userId = await resolveUser(client, user_id);
+      const result = await client.withDryRun(dry_run).create('Appointment', {
+        context_id: taskId,
+        resource_id: userId,
         type: 'assignment',
       });
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_security_roles',
   'List all security roles',
   {},
-  async () => {
+  async (_args, { client }) => {
     try {
-      const result = await client.query('select id, name, type from SecurityRole');
+      const result = await client.query(
+        select('id', 'name', 'type').from('SecurityRole').toString()
+      );
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
-      };
+      return errorResult(error);
     }
   }
 );
 
-server.tool(
+registerTool(
   'ftrack_list_review_sessions',
   'List review sessions',
   {
     project_id: z.string().optional().describe('Filter by project ID'),
     limit: z.number().optional().default(50).describe('Maximum number of sessions to return'),
+    cursor: z.string().optional().describe('Cursor from a previous response (metadata.next_cursor) to continue from'),
+  },
+  async ({ project_id, limit, cursor }, { client }) => {
+    try {
+      const expression = select('id', 'name', 'description', 'created_at', 'end_date')
+        .from('ReviewSession')
+        .where(project_id && eq('project_id', project_id))
+        .orderBy('created_at', 'descending')
+        .toString();
+      const result = formatPage(await client.queryAll(expression, {
+        offset: cursor ? decodeCursor(cursor) : undefined,
+        maxRows: limit,
+      }));
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================
+// HIERARCHY TOOLS
+// ============================================================
+
+registerTool(
+  'ftrack_get_hierarchy',
+  'Get the tree of contexts (sequences, shots, tasks, ...) below a project or context, with object type, type, status and assignees per node. Nodes at the depth limit have no children property.',
+  {
+    root: z.string().describe('Project or context ID, or path (e.g. "proj" or "proj/seq010")'),
+    depth: z.number().optional().default(DEFAULT_HIERARCHY_DEPTH).describe('Levels below the root to include'),
+    max_nodes: z.number().optional().default(DEFAULT_HIERARCHY_MAX_NODES).describe('Stop after this many nodes; truncated is set when the tree was cut short'),
+  },
+  async ({ root, depth, max_nodes }, { client }) => {
+    try {
+      const rootId = await resolveContext(client, root);
+      const result = await buildHierarchy(client, rootId, { depth, maxNodes: max_nodes });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_resolve_path',
+  'Turn a path like "proj/seq010/sh0100/comp" into the entity it names, or an entity ID into its path. Returns id, name, entity_type, object_type, path and link.',
+  {
+    path: z.string().optional().describe('Path starting with the project short name'),
+    id: z.string().optional().describe('Project or context ID to get the path of'),
   },
-  async ({ project_id, limit }) => {
+  async ({ path, id }, { client }) => {
     try {
-      let expression = `select id, name, description, created_at, end_date from ReviewSession`;
-      if (project_id) {
-        expression += ` where project_id is "${project_id}"`;
+      if (!path === !id) {
+        throw new FtrackValidationError('Pass either path or id');
       }
-      expression += ` order by created_at descending limit ${limit}`;
-      const result = await client.query(expression);
+      const result = await describeContext(client, id ?? await resolveContext(client, path));
       return {
         content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
     } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_create_structure',
+  `Create sequences, shots, tasks and other contexts below a project or context from a spec (object, or YAML/JSON text). Nested form: { "children": [{ "name": "seq010", "object_type": "Sequence", "children": [{ "name": "sh0100", "object_type": "Shot", "tasks": ["comp", "roto"] }] }] }. Shot list form: { "shots": [{ "name": "sh0100", "sequence": "seq010" }], "shot_tasks": ["comp", "roto"] }. Both forms take "task_templates" mapping short names to task specs, e.g. { "comp": { "type": "Compositing" } }; other task names are used as the task type name. Object types, task types and statuses are given by name. Entities that already exist (same name under the same parent) are skipped; the rest are created in chunked batch requests.`,
+  {
+    parent: z.string().describe('Project or context ID or path (e.g. "proj") to create the structure under'),
+    spec: z.union([z.string(), z.record(z.any())]).describe('Structure spec as an object, or as YAML or JSON text'),
+    chunk_size: z.number().optional().default(DEFAULT_STRUCTURE_CHUNK_SIZE).describe('Create operations per batch request'),
+    skip_validation: z.boolean().optional().default(false).describe('Send without checking against the entity schema first'),
+    dry_run: z.boolean().optional().default(false).describe('Return what would be created and skipped instead of creating it'),
+  },
+  async ({ parent, spec, chunk_size, skip_validation, dry_run }, { client, schemaCache }) => {
+    try {
+      const nodes = normalizeSpec(parseSpec(spec));
+      const root = await describeContext(client, await resolveContext(client, parent));
+      const plan = await planStructure(client, root, nodes);
+      if (validatePayloads && !skip_validation && plan.operations.length > 0) {
+        await validateOperations(schemaCache, plan.operations);
+      }
+
+      const chunkSize = Math.max(1, Math.floor(chunk_size));
+      const result = {
+        parent: root.path,
+        dry_run,
+        created: countByType(plan.created),
+        skipped: countByType(plan.skipped),
+        batches: dry_run ? 0 : Math.ceil(plan.operations.length / chunkSize),
+        entities: { created: plan.created, skipped: plan.skipped },
+      };
+      if (!dry_run) {
+        for (let start = 0; start < plan.operations.length; start += chunkSize) {
+          try {
+            await client.batch(plan.operations.slice(start, start + chunkSize));
+          } catch (error) {
+            // Earlier batches are already committed; report them with the error
+            const created = plan.created.slice(0, start);
+            const failed = errorResult(error);
+            failed.content.push({
+              type: 'text',
+              text: JSON.stringify({ created_before_error: countByType(created), entities: created }, null, 2),
+            });
+            return failed;
+          }
+        }
+      }
       return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true,
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
       };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+// ============================================================
+// AUDIT LOG AND UNDO TOOLS
+// ============================================================
+
+registerTool(
+  'ftrack_audit_log',
+  'List recent changes made through this server, newest first',
+  {
+    tool: z.string().optional().describe('Only entries for this tool (e.g., "ftrack_update")'),
+    entity_id: z.string().optional().describe('Only entries that touched this entity ID'),
+    since: z.string().optional().describe('Only entries at or after this ISO 8601 time'),
+    until: z.string().optional().describe('Only entries at or before this ISO 8601 time'),
+    limit: z.number().optional().default(50).describe('Maximum number of entries to return'),
+  },
+  async ({ tool, entity_id, since, until, limit }, { client }) => {
+    try {
+      // Sessions with their own credentials only see their own changes,
+      // unless the server runs with the admin profile
+      const user = client !== serviceClient && toolPolicy.profile !== 'admin' ? client.apiUser : null;
+      const result = await auditLog.query({ tool, entityId: entity_id, user, since, until, limit });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+      };
+    } catch (error) {
+      return errorResult(error);
+    }
+  }
+);
+
+registerTool(
+  'ftrack_undo',
+  'Revert a change set from the audit log in one transaction: restores the previous values of updated attributes and deletes created entities',
+  {
+    change_set_id: z.string().describe('ID of the audit log entry to revert'),
+    force: z.boolean().optional().default(false).describe('Revert even if the entities were changed again since'),
+    dry_run: z.boolean().optional().default(false).describe('Preview the change with current values instead of sending it'),
+  },
+  async ({ change_set_id, force, dry_run }, { client: sessionClient, resolveWorkspace }) => {
+    try {
+      const entry = await auditLog.get(change_set_id);
+      if (!entry) {
+        throw new FtrackNotFoundError(`No audit log entry with ID ${change_set_id}`);
+      }
+      // Only the ftrack user who made a change can revert it
+      if (entry.user !== sessionClient.apiUser) {
+        throw new FtrackPermissionError(`Change set ${change_set_id} was made by another ftrack user and can only be undone by them`);
+      }
+      // Revert in the workspace the change set was made in
+      const { workspace, client } = resolveWorkspace(entry.workspace);
+      if (!entry.undo?.length) {
+        throw new FtrackValidationError(`Change set ${change_set_id} has no operations that can be undone`, {
+          issues: (entry.irreversible || []).map((operation) => ({
+            attribute: null,
+            message: `${operation.action} ${operation.entity_type ?? ''} ${operation.entity_key?.[0] ?? ''}`.trim(),
+          })),
+        });
+      }
+      const previousUndo = await auditLog.findUndoOf(change_set_id);
+      if (previousUndo) {
+        throw new FtrackValidationError(`Change set ${change_set_id} was already undone by ${previousUndo.id}`);
+      }
+      if (!force) {
+        const conflicts = await findConflicts(client, entry);
+        if (conflicts.length > 0) {
+          throw new FtrackValidationError(
+            `${conflicts.length} value(s) changed after change set ${change_set_id}. Pass force: true to revert anyway.`,
+            {
+              issues: conflicts.map((conflict) => ({
+                attribute: conflict.attribute,
+                message: conflict.attribute
+                  ? `${conflict.entity_type} ${conflict.entity_key[0]}: expected ${JSON.stringify(conflict.expected)}, found ${JSON.stringify(conflict.current)}`
+                  : `${conflict.entity_type} ${conflict.entity_key[0]} no longer exists`,
+              })),
+            }
+          );
+        }
+      }
+
+      auditLog.annotate({ undo_of: change_set_id, workspace });
+      const result = await client.withDryRun(dry_run).batch(entry.undo);
+      return {
+        content: [{
+          type: 'text',
+          text: JSON.stringify({ undo_of: change_set_id, results: result, irreversible: entry.irreversible }, null, 2),
+        }],
+      };
+    } catch (error) {
+      return errorResult(error);
     }
   }
 );
@@ -1329,9 +2228,41 @@ server.tool(
 // ============================================================
 
 async function main() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  console.error('ftrack MCP server started');
+  const { transport, host, port } = config;
+
+  let close;
+  if (transport === 'http') {
+    const httpServer = new HttpTransportServer({ createSession: createHttpSession, host, port });
+    await httpServer.listen();
+    close = () => httpServer.close();
+    logger.info(`ftrack MCP server listening on http://${host}:${httpServer.httpServer.address().port} (Streamable HTTP at /mcp, SSE at /sse, health at /health)`);
+    if (!localPaths.enabled) {
+      logger.info('File tools (uploads, downloads, sequences) are disabled over HTTP; set local_roots to enable them for given directories');
+    }
+    if (!sessionAuth.requireAuth) {
+      logger.info(`Sessions without credentials run as ${serviceClient.apiUser} with read-only tools`);
+    } else if (!config.require_auth) {
+      logger.info(`Sessions without credentials are rejected since ${host} is not a loopback address`);
+    }
+  } else {
+    const server = createServer({ client: serviceClient });
+    await server.connect(new StdioServerTransport());
+    close = () => server.close();
+  }
+  logger.info(`ftrack MCP server started (profile: ${toolPolicy.profile}, ${enabledTools.length} tools enabled)`);
+  if (serviceClient.dryRun) {
+    logger.info('Dry-run mode is on: mutating operations will be previewed, not sent');
+  }
+
+  // Close sessions and flush the audit log before exiting
+  const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, shutting down`);
+    await close().catch((error) => logger.error('Error during shutdown:', error.message));
+    await auditLog.writes;
+    process.exit(0);
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
 }
 
 main().catch((error) => {
@@ -0,0 +1,122 @@
+/**
+ * Jobs
+ * Follows the Job entities that delayed jobs and media encoding create
+ * until they finish
+ */
+
+import { FtrackNotFoundError, FtrackValidationError } from './errors.js';
+import { select, eq } from './query-builder.js';
+
+export const DEFAULT_JOB_TIMEOUT_SECONDS = 300;
+export const DEFAULT_JOB_POLL_INTERVAL_SECONDS = 2;
+
+// Bounds on waiting, so a call cannot poll ftrack in a tight loop or hold
+// a tool call open for hours
+export const MIN_JOB_POLL_INTERVAL_SECONDS = 1;
+export const MAX_JOB_TIMEOUT_SECONDS = 3600;
+
+// Job statuses that will not change any more
+export const FINAL_JOB_STATUSES = ['done', 'failed', 'killed'];
+
+/**
+ * Wait, ending early when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
+
+/**
+ * ID of the job a delayed_job or encode_media response refers to. Encoding
+ * returns { job_id }, delayed jobs return the Job entity itself.
+ * @returns {string|null}
+ */
+export function jobIdOf(result) {
+  return result?.job_id ?? result?.data?.id ?? result?.id ?? null;
+}
+
+/**
+ * Parse the JSON text a job keeps in its data attribute
+ */
+function parseJobData(data) {
+  if (typeof data !== 'string') return data ?? null;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return data;
+  }
+}
+
+/**
+ * Read a job with its result data and attached components
+ * @returns {Promise<object>} - { id, status, created_at, data, attachments }
+ */
+export async function getJob(client, jobId) {
+  const expression = select(
+    'id', 'status', 'data', 'created_at',
+    'job_components.component_id', 'job_components.component.name', 'job_components.component.file_type'
+  ).from('Job').where(eq('id', jobId)).toString();
+  // Job status is the thing being watched, so never serve it from the cache
+  const [{ data }] = await client.call({ action: 'query', expression }, { cache: false });
+  const job = data[0];
+  if (!job) {
+    throw new FtrackNotFoundError(`Job not found: ${jobId}`);
+  }
+  return {
+    id: job.id,
+    status: job.status,
+    created_at: job.created_at ?? null,
+    data: parseJobData(job.data),
+    attachments: (job.job_components ?? []).map((item) => ({
+      component_id: item.component_id,
+      name: item.component?.name ?? null,
+      file_type: item.component?.file_type ?? null,
+    })),
+  };
+}
+
+/**
+ * Poll a job until it reaches a final status, the timeout passes or the
+ * signal aborts. A job still running at the end is returned with
+ * timed_out set rather than as an error, so it can be waited for again.
+ * @param {FtrackClient} client
+ * @param {string} jobId
+ * @param {object} options
+ * @param {number} options.timeoutSeconds - How long to wait, at most MAX_JOB_TIMEOUT_SECONDS
+ * @param {number} options.intervalSeconds - Time between polls, at least MIN_JOB_POLL_INTERVAL_SECONDS
+ * @param {AbortSignal} options.signal - Stops waiting when aborted
+ * @param {Function} options.onProgress - Called with (elapsedSeconds, timeoutSeconds, message)
+ * @returns {Promise<object>} - getJob's result plus { finished, timed_out, waited_seconds }
+ */
+export async function waitForJob(client, jobId, {
+  timeoutSeconds = DEFAULT_JOB_TIMEOUT_SECONDS,
+  intervalSeconds = DEFAULT_JOB_POLL_INTERVAL_SECONDS,
+  signal,
+  onProgress = () => {},
+} = {}) {
+  if (!jobId) {
+    throw new FtrackValidationError('The response did not contain a job ID to wait for');
+  }
+  timeoutSeconds = Math.min(Math.max(0, timeoutSeconds), MAX_JOB_TIMEOUT_SECONDS);
+  intervalSeconds = Math.max(intervalSeconds, MIN_JOB_POLL_INTERVAL_SECONDS);
+  const started = Date.now();
+  const elapsed = () => Math.round((Date.now() - started) / 100) / 10;
+  for (;;) {
+    const job = await getJob(client, jobId);
+    const finished = FINAL_JOB_STATUSES.includes(job.status);
+    const timedOut = !finished && (elapsed() >= timeoutSeconds || signal?.aborted === true);
+    if (finished || timedOut) {
+      return { ...job, finished, timed_out: timedOut, waited_seconds: elapsed() };
+    }
+    const description = job.data?.description ? `: ${job.data.description}` : '';
+    onProgress(Math.min(elapsed(), timeoutSeconds), timeoutSeconds, `Job ${job.status}${description}`);
+    await sleep(Math.min(intervalSeconds * 1000, Math.max(0, (timeoutSeconds - elapsed()) * 1000)), signal);
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * Local Paths
+ * Limits the files tools read and write on the machine running the server
+ * to configured root directories. Over HTTP the caller is remote, so the
+ * file tools are disabled unless roots are configured.
+ */
+
+import { realpathSync } from 'node:fs';
+import { realpath } from 'node:fs/promises';
+import { basename, dirname, isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { FtrackPermissionError } from './errors.js';
+
+// Tools that read or write files on the server's disk
+export const LOCAL_FILE_TOOLS = new Set([
+  'ftrack_upload_file',
+  'ftrack_publish_version',
+  'ftrack_upload_sequence',
+  'ftrack_get_sequence_frames',
+  'ftrack_download_component',
+]);
+
+/**
+ * Resolve symlinks in a path that may not exist yet, through its nearest
+ * existing ancestor
+ */
+async function realpathOfNew(path) {
+  try {
+    return await realpath(path);
+  } catch (error) {
+    const parent = dirname(path);
+    if (error.code !== 'ENOENT' || parent === path) throw error;
+    return join(await realpathOfNew(parent), basename(path));
+  }
+}
+
+export class LocalPaths {
+  /**
+   * @param {object} options - { roots } directories paths must be inside,
+   *   or none for no restriction; { enabled: false } disables file tools
+   */
+  constructor({ roots = [], enabled = true } = {}) {
+    this.roots = roots.map((root) => {
+      const absolute = resolve(root);
+      try {
+        return realpathSync(absolute);
+      } catch {
+        return absolute;
+      }
+    });
+    this.enabled = enabled;
+  }
+
+  /**
+   * Build from the local_roots setting. Without roots, file tools are only
+   * enabled for the stdio transport.
+   */
+  static fromConfig(config) {
+    const roots = config.local_roots ?? [];
+    return new LocalPaths({ roots, enabled: roots.length > 0 || config.transport !== 'http' });
+  }
+
+  /**
+   * Resolve a local path and check that it is inside a root
+   * @returns {Promise<string>} - The absolute path
+   * @throws {FtrackPermissionError} - If the path is outside every root
+   */
+  async check(path) {
+    const absolute = resolve(path);
+    if (this.roots.length === 0) {
+      return absolute;
+    }
+    const real = await realpathOfNew(absolute);
+    const inside = this.roots.some((root) => {
+      const rest = relative(root, real);
+      return rest !== '..' && !rest.startsWith(`..${sep}`) && !isAbsolute(rest);
+    });
+    if (!inside) {
+      throw new FtrackPermissionError(`${path} is outside the directories file tools may use: ${this.roots.join(', ')}`);
+    }
+    return absolute;
+  }
+}
+
+export default LocalPaths;
@@ -0,0 +1,35 @@
+/**
+ * Logger
+ * Leveled diagnostic messages on stderr (stdout carries the stdio transport)
+ */
+
+export const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+
+let threshold = LOG_LEVELS.indexOf('info');
+
+/**
+ * Only log messages at this level or more severe
+ * @param {string} level - error, warn, info or debug
+ */
+export function setLogLevel(level) {
+  const index = LOG_LEVELS.indexOf(level);
+  if (index === -1) {
+    throw new Error(`Unknown log level "${level}". Expected one of: ${LOG_LEVELS.join(', ')}`);
+  }
+  threshold = index;
+}
+
+function log(level, args) {
+  if (LOG_LEVELS.indexOf(level) <= threshold) {
+    console.error(...args);
+  }
+}
+
+export const logger = {
+  error: (...args) => log('error', args),
+  warn: (...args) => log('warn', args),
+  info: (...args) => log('info', args),
+  debug: (...args) => log('debug', args),
+};
+
+export default logger;
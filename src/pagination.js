@@ -0,0 +1,68 @@
+/**
+ * Query pagination helpers
+ * Splits paging clauses out of query expressions and encodes page cursors
+ */
+
+const PAGING_SUFFIX = /(?:\s+(?:offset|limit)\s+\d+)+\s*$/i;
+
+/**
+ * Separate trailing offset/limit clauses from a query expression
+ * @param {string} expression - Query expression (e.g., "select id from Task limit 10")
+ * @returns {{ base: string, offset: number|null, limit: number|null }}
+ */
+export function splitPaging(expression) {
+  const match = expression.match(PAGING_SUFFIX);
+  if (!match) {
+    return { base: expression.trim(), offset: null, limit: null };
+  }
+
+  const suffix = match[0];
+  const offsetMatch = suffix.match(/offset\s+(\d+)/i);
+  const limitMatch = suffix.match(/limit\s+(\d+)/i);
+
+  return {
+    base: expression.slice(0, match.index).trim(),
+    offset: offsetMatch ? Number(offsetMatch[1]) : null,
+    limit: limitMatch ? Number(limitMatch[1]) : null,
+  };
+}
+
+/**
+ * Encode a result offset as an opaque cursor string
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {number} - Result offset the cursor points to
+ */
+export function decodeCursor(cursor) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  if (!Number.isInteger(decoded?.offset) || decoded.offset < 0) {
+    throw new Error(`Invalid cursor: ${cursor}`);
+  }
+  return decoded.offset;
+}
+
+/**
+ * Shape a paged query result for tool output, replacing the raw
+ * next offset with a cursor the caller can pass back in
+ */
+export function formatPage(result) {
+  const nextOffset = result.metadata?.next?.offset;
+  return {
+    action: result.action,
+    data: result.data,
+    metadata: {
+      count: result.data.length,
+      next_cursor: nextOffset != null ? encodeCursor(nextOffset) : null,
+    },
+  };
+}
@@ -0,0 +1,258 @@
+/**
+ * Publishing
+ * Publishes local files and image sequences as a new AssetVersion of a
+ * task: the asset (created if missing), version and components are created
+ * in one transaction, then the files are uploaded; if an upload fails the
+ * new entities are removed
+ */
+
+import { randomUUID } from 'node:crypto';
+import { stat } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { FtrackNotFoundError, FtrackValidationError } from './errors.js';
+import { select, eq } from './query-builder.js';
+import { suggest } from './schema-validator.js';
+import { addToServerLocation, componentNaming, fileSize, md5Checksum, uploadComponentData } from './upload.js';
+import { formatSequence, isSequencePattern, readSequence, sequenceName, uploadFrames } from './sequence.js';
+import { logger } from './logger.js';
+
+/**
+ * Whether a publish path is a sequence pattern. A file that exists under
+ * the exact name (e.g. "50%done.mov") is published as that file.
+ */
+async function isSequencePath(path) {
+  if (!isSequencePattern(path)) {
+    return false;
+  }
+  try {
+    await stat(path);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Plan the component for one file or sequence pattern
+ */
+async function planComponent(file) {
+  if (await isSequencePath(file.path)) {
+    const { sequence, frames, sizes, size } = await readSequence(file.path);
+    return {
+      id: randomUUID(),
+      name: file.name ?? sequenceName(sequence),
+      path: formatSequence(sequence),
+      file_type: sequence.tail,
+      size,
+      encode: file.encode ?? false,
+      sequence,
+      members: frames.map((frame) => ({ id: randomUUID(), frame, size: sizes.get(frame) })),
+    };
+  }
+  const naming = componentNaming(file.path);
+  return {
+    id: randomUUID(),
+    name: file.name ?? naming.name,
+    path: file.path,
+    file_type: naming.fileType,
+    size: await fileSize(file.path),
+    encode: file.encode ?? false,
+  };
+}
+
+/**
+ * Resolve an asset type by name or short name (e.g. "Upload" or "upload")
+ */
+async function resolveAssetType(client, reference) {
+  const { data } = await client.query(select('id', 'name', 'short').from('AssetType').toString());
+  const wanted = reference.toLowerCase();
+  const match = data.find((type) => type.id === reference
+    || type.name.toLowerCase() === wanted
+    || type.short?.toLowerCase() === wanted);
+  if (!match) {
+    const suggestion = suggest(reference, data.flatMap((type) => [type.name, type.short].filter(Boolean)));
+    throw new FtrackNotFoundError(suggestion
+      ? `No asset type named "${reference}", did you mean "${suggestion}"?`
+      : `No asset type named "${reference}"`);
+  }
+  return match;
+}
+
+/**
+ * Work out what a publish will create, without changing anything
+ * @param {FtrackClient} client
+ * @param {object} options
+ * @param {string} options.taskId - Task the version is published for
+ * @param {string} options.assetName - Asset name, e.g. "plate" or "comp"
+ * @param {string} options.assetType - Asset type name or short name
+ * @param {string} options.comment - Version comment
+ * @param {string} options.statusId - Version status
+ * @param {Array} options.files - [{ path, name, encode }]; a path may be a
+ *   sequence pattern such as "plate.%04d.exr [1001-1100]", published as a
+ *   SequenceComponent with one member per frame
+ * @returns {Promise<object>} - { task, asset, version, components, operations }
+ */
+export async function planPublish(client, { taskId, assetName, assetType, comment = '', statusId = null, files }) {
+  if (files.length === 0) {
+    throw new FtrackValidationError('Publish needs at least one file');
+  }
+  const { data: tasks } = await client.query(
+    select('id', 'name', 'parent_id').from('Task').where(eq('id', taskId)).toString()
+  );
+  const task = tasks[0];
+  if (!task) {
+    throw new FtrackNotFoundError(`Task not found: ${taskId}`);
+  }
+  const type = await resolveAssetType(client, assetType);
+
+  // Assets belong to the task's parent (e.g. the shot); versions to the task
+  const { data: assets } = await client.query(
+    select('id', 'name')
+      .from('Asset')
+      .where(eq('name', assetName), eq('context_id', task.parent_id), eq('type_id', type.id))
+      .toString()
+  );
+  const asset = assets[0]
+    ? { id: assets[0].id, name: assetName, type: type.name, created: false }
+    : { id: randomUUID(), name: assetName, type: type.name, created: true };
+
+  const components = [];
+  const names = new Set();
+  for (const file of files) {
+    const component = await planComponent(file);
+    if (names.has(component.name)) {
+      throw new FtrackValidationError(`Component name "${component.name}" is used twice; give the files distinct names`);
+    }
+    names.add(component.name);
+    components.push(component);
+  }
+
+  const version = { id: randomUUID(), asset_id: asset.id, task_id: task.id, comment };
+  if (statusId) version.status_id = statusId;
+
+  const operations = [];
+  if (asset.created) {
+    operations.push({
+      action: 'create',
+      entity_type: 'Asset',
+      entity_data: { id: asset.id, name: asset.name, type_id: type.id, context_id: task.parent_id },
+    });
+  }
+  operations.push({ action: 'create', entity_type: 'AssetVersion', entity_data: version });
+  for (const component of components) {
+    if (!component.sequence) {
+      operations.push({
+        action: 'create',
+        entity_type: 'FileComponent',
+        entity_data: { id: component.id, name: component.name, file_type: component.file_type, size: component.size, version_id: version.id },
+      });
+      continue;
+    }
+    operations.push({
+      action: 'create',
+      entity_type: 'SequenceComponent',
+      entity_data: {
+        id: component.id,
+        name: component.name,
+        file_type: component.file_type,
+        padding: component.sequence.padding,
+        size: component.size,
+        version_id: version.id,
+      },
+    });
+    for (const member of component.members) {
+      operations.push({
+        action: 'create',
+        entity_type: 'FileComponent',
+        entity_data: { id: member.id, name: String(member.frame), file_type: component.file_type, size: member.size, container_id: component.id },
+      });
+    }
+  }
+
+  return { task, asset, version, components, operations };
+}
+
+/**
+ * Remove the entities a failed publish created, components first and
+ * sequence members before their container
+ */
+async function rollback(client, plan) {
+  const operations = [
+    ...plan.components.flatMap((component) => (component.sequence
+      ? [
+        ...component.members.map((member) => ({ action: 'delete', entity_type: 'FileComponent', entity_key: [member.id] })),
+        { action: 'delete', entity_type: 'SequenceComponent', entity_key: [component.id] },
+      ]
+      : [{ action: 'delete', entity_type: 'FileComponent', entity_key: [component.id] }])),
+    { action: 'delete', entity_type: 'AssetVersion', entity_key: [plan.version.id] },
+  ];
+  if (plan.asset.created) {
+    operations.push({ action: 'delete', entity_type: 'Asset', entity_key: [plan.asset.id] });
+  }
+  await client.batch(operations);
+}
+
+/**
+ * Run a planned publish: create the entities in one batch, upload every
+ * file into the server location and start encoding where requested
+ * @param {FtrackClient} client
+ * @param {object} plan - From planPublish
+ * @param {object} options - { concurrency, onProgress(bytesSent, totalBytes, message) }
+ * @returns {Promise<object>} - { asset_id, asset_created, version_id, version, components, jobs }
+ */
+export async function executePublish(client, plan, { concurrency, onProgress = () => {} } = {}) {
+  await client.batch(plan.operations);
+
+  const total = plan.components.reduce((sum, component) => sum + component.size, 0);
+  let done = 0;
+  try {
+    for (const component of plan.components) {
+      if (component.sequence) {
+        await uploadFrames(client, component.sequence, component.members, {
+          concurrency,
+          onProgress: (sent, size, message) => onProgress(done + sent, total, `Uploading ${component.name}: ${message}`),
+        });
+      } else {
+        const checksum = await md5Checksum(component.path);
+        await uploadComponentData(client, component.id, component.path, {
+          size: component.size,
+          checksum,
+          fileName: basename(component.path),
+          concurrency,
+          onProgress: (sent) => onProgress(done + sent, total, `Uploading ${component.name}`),
+        });
+      }
+      await addToServerLocation(client, component.id);
+      done += component.size;
+    }
+  } catch (error) {
+    try {
+      await rollback(client, plan);
+      error.message = `${error.message} (the new version was removed again)`;
+    } catch (rollbackError) {
+      logger.error(`Could not remove version ${plan.version.id} after a failed publish: ${rollbackError.message}`);
+      error.message = `${error.message} (version ${plan.version.id} could not be removed: ${rollbackError.message})`;
+    }
+    throw error;
+  }
+
+  const jobs = [];
+  for (const component of plan.components.filter((item) => item.encode)) {
+    const result = await client.encodeMedia(component.id);
+    jobs.push({ component_id: component.id, job_id: result?.job_id ?? null });
+  }
+
+  const { data } = await client.query(
+    select('version').from('AssetVersion').where(eq('id', plan.version.id)).toString()
+  );
+  return {
+    asset_id: plan.asset.id,
+    asset_created: plan.asset.created,
+    version_id: plan.version.id,
+    version: data[0]?.version ?? null,
+    components: plan.components.map(({ id, name, path, size, members }) => (members
+      ? { component_id: id, name, path, size, frame_count: members.length }
+      : { component_id: id, name, path, size })),
+    jobs,
+  };
+}
@@ -0,0 +1,284 @@
+/**
+ * ftrack Query Builder
+ * Builds query expressions with escaped literals and validated identifiers
+ * instead of string interpolation
+ */
+
+const ENTITY_TYPE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const ATTRIBUTE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+const COMPARISON_OPERATORS = {
+  is: 'is',
+  is_not: 'is_not',
+  '=': 'is',
+  '!=': 'is_not',
+  '>': '>',
+  '<': '<',
+  '>=': '>=',
+  '<=': '<=',
+  like: 'like',
+  not_like: 'not_like',
+};
+
+/**
+ * A validated query condition. Only conditions produced by this module
+ * are accepted by QueryBuilder.where, so raw strings cannot slip in.
+ */
+export class Condition {
+  constructor(text) {
+    this.text = text;
+  }
+
+  toString() {
+    return this.text;
+  }
+}
+
+/**
+ * Validate an entity type name (e.g., "Task", "AssetVersion")
+ */
+export function entityType(name) {
+  if (typeof name !== 'string' || !ENTITY_TYPE_PATTERN.test(name)) {
+    throw new Error(`Invalid entity type: ${JSON.stringify(name)}`);
+  }
+  return name;
+}
+
+/**
+ * Validate an attribute path (e.g., "name", "status.name", "parent.parent.id")
+ */
+export function attribute(path) {
+  if (typeof path !== 'string' || !ATTRIBUTE_PATTERN.test(path)) {
+    throw new Error(`Invalid attribute: ${JSON.stringify(path)}`);
+  }
+  return path;
+}
+
+/**
+ * Format a JavaScript value as a query literal
+ */
+export function literal(value) {
+  if (value === null || value === undefined) {
+    return 'none';
+  }
+  if (typeof value === 'boolean') {
+    return value ? 'true' : 'false';
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid numeric literal: ${value}`);
+    }
+    return String(value);
+  }
+  if (value instanceof Date) {
+    return literal(value.toISOString());
+  }
+  if (typeof value === 'string') {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  throw new Error(`Unsupported literal value: ${JSON.stringify(value)}`);
+}
+
+// ============================================================
+// CONDITIONS
+// ============================================================
+
+/**
+ * Compare an attribute against a value using one of the query operators
+ * (is, is_not, >, <, >=, <=, like, not_like)
+ */
+export function compare(path, operator, value) {
+  const op = COMPARISON_OPERATORS[operator];
+  if (!op) {
+    throw new Error(`Unknown operator: ${JSON.stringify(operator)}`);
+  }
+  return new Condition(`${attribute(path)} ${op} ${literal(value)}`);
+}
+
+export function eq(path, value) {
+  return compare(path, 'is', value);
+}
+
+export function ne(path, value) {
+  return compare(path, 'is_not', value);
+}
+
+export function like(path, pattern) {
+  return compare(path, 'like', pattern);
+}
+
+/**
+ * Match an attribute against a list of values
+ */
+export function isIn(path, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error(`"in" requires a non-empty array of values for ${path}`);
+  }
+  return new Condition(`${attribute(path)} in (${values.map(literal).join(', ')})`);
+}
+
+export function notIn(path, values) {
+  if (!Array.isArray(values) || values.length === 0) {
+    throw new Error(`"not_in" requires a non-empty array of values for ${path}`);
+  }
+  return new Condition(`${attribute(path)} not_in (${values.map(literal).join(', ')})`);
+}
+
+function assertConditions(conditions) {
+  if (conditions.length === 0) {
+    throw new Error('At least one condition is required');
+  }
+  for (const condition of conditions) {
+    if (!(condition instanceof Condition)) {
+      throw new Error('Conditions must be built with the query builder helpers');
+    }
+  }
+}
+
+export function and(...conditions) {
+  assertConditions(conditions);
+  if (conditions.length === 1) return conditions[0];
+  return new Condition(`(${conditions.join(' and ')})`);
+}
+
+export function or(...conditions) {
+  assertConditions(conditions);
+  if (conditions.length === 1) return conditions[0];
+  return new Condition(`(${conditions.join(' or ')})`);
+}
+
+export function not(condition) {
+  assertConditions([condition]);
+  return new Condition(`not (${condition})`);
+}
+
+/**
+ * Match when any item of a collection relation satisfies the condition
+ * (e.g., any('assignments', eq('resource_id', userId)))
+ */
+export function any(relation, condition) {
+  assertConditions([condition]);
+  return new Condition(`${attribute(relation)} any (${condition})`);
+}
+
+/**
+ * Match when a scalar relation satisfies the condition
+ * (e.g., has('status', eq('name', 'Approved')))
+ */
+export function has(relation, condition) {
+  assertConditions([condition]);
+  return new Condition(`${attribute(relation)} has (${condition})`);
+}
+
+// ============================================================
+// QUERY BUILDER
+// ============================================================
+
+export class QueryBuilder {
+  constructor(attributes = []) {
+    this.attributes = attributes.map(attribute);
+    this.entityType = null;
+    this.conditions = [];
+    this.ordering = [];
+    this.offsetValue = null;
+    this.limitValue = null;
+  }
+
+  from(type) {
+    this.entityType = entityType(type);
+    return this;
+  }
+
+  /**
+   * Add conditions; multiple calls and arguments are combined with "and"
+   */
+  where(...conditions) {
+    const present = conditions.filter(Boolean);
+    if (present.length === 0) return this;
+    assertConditions(present);
+    this.conditions.push(...present);
+    return this;
+  }
+
+  orderBy(path, direction = 'ascending') {
+    if (direction !== 'ascending' && direction !== 'descending') {
+      throw new Error(`Invalid order direction: ${JSON.stringify(direction)}`);
+    }
+    this.ordering.push(`${attribute(path)} ${direction}`);
+    return this;
+  }
+
+  offset(value) {
+    this.offsetValue = nonNegativeInteger(value, 'offset');
+    return this;
+  }
+
+  limit(value) {
+    this.limitValue = nonNegativeInteger(value, 'limit');
+    return this;
+  }
+
+  toString() {
+    if (!this.entityType) {
+      throw new Error('Query has no entity type; call from() first');
+    }
+
+    let expression = this.attributes.length
+      ? `select ${this.attributes.join(', ')} from ${this.entityType}`
+      : this.entityType;
+    if (this.conditions.length > 0) {
+      expression += ` where ${this.conditions.join(' and ')}`;
+    }
+    if (this.ordering.length > 0) {
+      expression += ` order by ${this.ordering.join(', ')}`;
+    }
+    if (this.offsetValue !== null) {
+      expression += ` offset ${this.offsetValue}`;
+    }
+    if (this.limitValue !== null) {
+      expression += ` limit ${this.limitValue}`;
+    }
+    return expression;
+  }
+}
+
+function nonNegativeInteger(value, name) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`Invalid ${name}: ${JSON.stringify(value)}`);
+  }
+  return value;
+}
+
+/**
+ * Start a query selecting the given attributes
+ */
+export function select(...attributes) {
+  return new QueryBuilder(attributes);
+}
+
+// ============================================================
+// STRUCTURED FILTERS
+// ============================================================
+
+/**
+ * Convert a JSON filter into a Condition. Supported shapes:
+ *   { attribute, operator, value }        operator defaults to "is"
+ *   { and: [filter, ...] } / { or: [filter, ...] } / { not: filter }
+ *   { any: { relation, filter } } / { has: { relation, filter } }
+ */
+export function buildFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new Error(`Invalid filter: ${JSON.stringify(filter)}`);
+  }
+
+  if (filter.and) return and(...filter.and.map(buildFilter));
+  if (filter.or) return or(...filter.or.map(buildFilter));
+  if (filter.not) return not(buildFilter(filter.not));
+  if (filter.any) return any(filter.any.relation, buildFilter(filter.any.filter));
+  if (filter.has) return has(filter.has.relation, buildFilter(filter.has.filter));
+
+  const operator = filter.operator || 'is';
+  if (operator === 'in') return isIn(filter.attribute, filter.value);
+  if (operator === 'not_in') return notIn(filter.attribute, filter.value);
+  return compare(filter.attribute, operator, filter.value);
+}
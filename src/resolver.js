@@ -0,0 +1,155 @@
+/**
+ * Resolver
+ * Maps the names people use (status names, usernames, project short names
+ * and context paths such as proj/seq010/sh0100/comp) to ftrack IDs.
+ * Values that already look like IDs are returned unchanged.
+ */
+
+import { FtrackAmbiguousError, FtrackNotFoundError, FtrackValidationError } from './errors.js';
+import { select, eq, or } from './query-builder.js';
+import { suggest } from './schema-validator.js';
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Most candidates listed in an ambiguity error
+const MAX_CANDIDATES = 10;
+
+export function isId(value) {
+  return ID_PATTERN.test(value);
+}
+
+/**
+ * Split a context path into its names, e.g. "proj/seq010/sh0100/comp"
+ */
+export function parsePath(path) {
+  return path.split('/').map((segment) => segment.trim()).filter(Boolean);
+}
+
+/**
+ * Path of a context from its link attribute, e.g. "proj/seq010/sh0100"
+ */
+export function linkPath(link) {
+  return link.map((item) => item.name).join('/');
+}
+
+/**
+ * Pick the only match or explain why there is none
+ * @param {string} kind - What is being resolved, e.g. "status"
+ * @param {string} reference - The name that was given
+ * @param {Array} matches - Entities matching the name
+ * @param {Function} describe - Entity to candidate description
+ * @param {Array} names - Known names to suggest from when nothing matches
+ */
+function single(kind, reference, matches, describe, names = []) {
+  if (matches.length === 1) {
+    return matches[0].id;
+  }
+  if (matches.length === 0) {
+    const suggestion = suggest(reference, names);
+    throw new FtrackNotFoundError(suggestion
+      ? `No ${kind} named "${reference}", did you mean "${suggestion}"?`
+      : `No ${kind} named "${reference}"`);
+  }
+  throw new FtrackAmbiguousError(
+    `"${reference}" matches ${matches.length} ${kind} entries; pass an ID or a more specific name`,
+    { candidates: matches.slice(0, MAX_CANDIDATES).map(describe) }
+  );
+}
+
+/**
+ * Resolve a status ID or name (case-insensitive)
+ */
+export async function resolveStatus(client, reference) {
+  if (isId(reference)) return reference;
+  const { data } = await client.query(select('id', 'name').from('Status').toString());
+  const wanted = reference.trim().toLowerCase();
+  return single(
+    'status',
+    reference,
+    data.filter((status) => status.name.toLowerCase() === wanted),
+    ({ id, name }) => ({ id, name }),
+    data.map((status) => status.name)
+  );
+}
+
+/**
+ * Resolve a user ID, username or email address
+ */
+export async function resolveUser(client, reference) {
+  if (isId(reference)) return reference;
+  const { data } = await client.query(
+    select('id', 'username', 'first_name', 'last_name', 'email')
+      .from('User')
+      .where(or(eq('username', reference), eq('email', reference)))
+      .toString()
+  );
+  return single(
+    'user',
+    reference,
+    data,
+    ({ id, username, first_name, last_name, email }) => ({ id, username, name: `${first_name ?? ''} ${last_name ?? ''}`.trim(), email })
+  );
+}
+
+/**
+ * Resolve a project ID, short name or full name
+ */
+export async function resolveProject(client, reference) {
+  if (isId(reference)) return reference;
+  const { data } = await client.query(
+    select('id', 'name', 'full_name')
+      .from('Project')
+      .where(or(eq('name', reference), eq('full_name', reference)))
+      .toString()
+  );
+  // A short name is unique, so prefer it over full names that happen to match
+  const byName = data.filter((project) => project.name === reference);
+  return single(
+    'project',
+    reference,
+    byName.length > 0 ? byName : data,
+    ({ id, name, full_name }) => ({ id, name, full_name })
+  );
+}
+
+/**
+ * Resolve a context ID or path. The first name of a path is the project's
+ * short name, the rest are the names of the contexts below it; a path with
+ * one name is the project itself.
+ * @param {FtrackClient} client
+ * @param {string} reference - ID or path, e.g. "proj/seq010/sh0100/comp"
+ * @param {object} options - { entityType } to only accept e.g. "Task"
+ */
+export async function resolveContext(client, reference, { entityType = 'TypedContext' } = {}) {
+  if (isId(reference)) return reference;
+  const names = parsePath(reference);
+  if (names.length === 0) {
+    throw new FtrackValidationError('Context path is empty');
+  }
+  if (names.length === 1) {
+    if (entityType !== 'TypedContext') {
+      throw new FtrackValidationError(`"${reference}" is a project path; a ${entityType} path needs at least two names, e.g. project/${entityType.toLowerCase()}`);
+    }
+    return resolveProject(client, names[0]);
+  }
+
+  const parents = names.slice(1, -1).reverse()
+    .map((name, depth) => eq(`${'parent.'.repeat(depth + 1)}name`, name));
+  const { data } = await client.query(
+    select('id', 'name', 'link')
+      .from(entityType)
+      .where(eq('name', names.at(-1)), eq('project.name', names[0]), ...parents)
+      .toString()
+  );
+  // The query only checks names, so compare the path to rule out contexts
+  // nested deeper than it says. The first link is the project under its
+  // full name, which the query already matched by project.name.
+  const path = names.slice(1).join('/');
+  return single(
+    entityType === 'TypedContext' ? 'context' : entityType,
+    reference,
+    data.filter((context) => !context.link
+      || (context.link.length === names.length && linkPath(context.link.slice(1)) === path)),
+    ({ id, link, name }) => ({ id, path: link ? linkPath(link) : name })
+  );
+}
@@ -0,0 +1,210 @@
+/**
+ * Response Cache
+ * TTL cache of responses to reference data lookups (statuses, types,
+ * priorities, security roles, schemas), keyed by operation, optionally
+ * persisted to disk. Entries for an entity type are dropped whenever a
+ * mutating operation touches that type, in the caches of every user of
+ * the same server.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { logger } from './logger.js';
+
+export const DEFAULT_CACHE_TTL_SECONDS = 3600;
+export const DEFAULT_CACHED_ENTITY_TYPES = ['Status', 'Type', 'Priority', 'SecurityRole'];
+
+// Cached entries tagged with this type are only dropped by clear()
+const SCHEMA_TAG = '*schema';
+
+// Invalidation tag recorded by clear() without entity types
+const ALL_TAG = '*';
+
+// Invalidations shared by the caches of one server, by server URL
+const SERVER_INVALIDATIONS = new Map();
+
+/**
+ * Invalidation state caches can share: a counter bumped on every clear()
+ * and the counter value each tag was last cleared at
+ */
+function createInvalidations() {
+  return { generation: 0, cleared: new Map() };
+}
+
+/**
+ * Entity type a query expression selects from
+ */
+function queryEntityType(expression) {
+  const match = expression.match(/^\s*(?:select\s+[\s\S]+?\s+from\s+)?([A-Za-z_]\w*)/i);
+  return match ? match[1] : null;
+}
+
+export class ResponseCache {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlSeconds - Lifetime of entries, 0 disables the cache
+   * @param {Array} options.entityTypes - Entity types whose queries are cached
+   * @param {string} options.path - JSON file the cache is persisted to, if any
+   * @param {object} options.invalidations - From createInvalidations(),
+   *   shared with other caches whose entries clear() should also drop
+   */
+  constructor({ ttlSeconds = DEFAULT_CACHE_TTL_SECONDS, entityTypes = DEFAULT_CACHED_ENTITY_TYPES, path = null, invalidations = createInvalidations() } = {}) {
+    this.ttl = ttlSeconds * 1000;
+    this.entityTypes = new Set(entityTypes);
+    this.path = path;
+    this.invalidations = invalidations;
+    this.entries = new Map();
+    this.writes = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Build the cache for one client from the cache_ttl_seconds,
+   * cache_entity_types and cache_dir settings. Persisted caches get one
+   * file per server and user, since users can see different data, while
+   * invalidations apply to the caches of all users of the server.
+   */
+  static fromConfig(config, client) {
+    const path = config.cache_dir
+      ? join(config.cache_dir, `${createHash('sha256').update(`${client.serverUrl}\n${client.apiUser}`).digest('hex').slice(0, 16)}.json`)
+      : null;
+    if (!SERVER_INVALIDATIONS.has(client.serverUrl)) {
+      SERVER_INVALIDATIONS.set(client.serverUrl, createInvalidations());
+    }
+    return new ResponseCache({
+      ttlSeconds: config.cache_ttl_seconds,
+      entityTypes: config.cache_entity_types,
+      path,
+      invalidations: SERVER_INVALIDATIONS.get(client.serverUrl),
+    });
+  }
+
+  /**
+   * Cache tag of an operation, or null if its response is not cached
+   */
+  tagOf(operation) {
+    if (this.ttl <= 0) return null;
+    if (operation.action === 'query_schemas') return SCHEMA_TAG;
+    if (operation.action === 'query' && typeof operation.expression === 'string') {
+      const entityType = queryEntityType(operation.expression);
+      return this.entityTypes.has(entityType) ? entityType : null;
+    }
+    return null;
+  }
+
+  isCacheable(operation) {
+    return this.tagOf(operation) !== null;
+  }
+
+  key(operation) {
+    return JSON.stringify([operation.action, operation.expression ?? null]);
+  }
+
+  /**
+   * Whether an entry was stored before its tag was last cleared, here or
+   * in a cache sharing the invalidations
+   */
+  isInvalidated(entry) {
+    const { cleared } = this.invalidations;
+    return entry.generation < Math.max(cleared.get(entry.tag) ?? 0, cleared.get(ALL_TAG) ?? 0);
+  }
+
+  /**
+   * Get a copy of the cached response to an operation
+   * @returns {*} - The response, or undefined if not cached, expired or invalidated
+   */
+  get(operation) {
+    const key = this.key(operation);
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now() || this.isInvalidated(entry)) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return structuredClone(entry.value);
+  }
+
+  set(operation, value) {
+    const tag = this.tagOf(operation);
+    if (tag === null) return;
+    this.entries.set(this.key(operation), {
+      tag,
+      value: structuredClone(value),
+      generation: this.invalidations.generation,
+      expiresAt: Date.now() + this.ttl,
+    });
+    this.save();
+  }
+
+  /**
+   * Drop cached responses for the entity types mutating operations touch
+   */
+  invalidateFor(operations) {
+    const types = new Set(operations.map((operation) => operation.entity_type).filter(Boolean));
+    if (types.size > 0) {
+      this.clear(...types);
+    }
+  }
+
+  /**
+   * Drop cached responses, for the given entity types or all of them.
+   * Caches sharing the invalidations drop theirs on their next lookup.
+   * @returns {number} - Number of entries dropped from this cache
+   */
+  clear(...entityTypes) {
+    const generation = ++this.invalidations.generation;
+    for (const tag of entityTypes.length > 0 ? entityTypes : [ALL_TAG]) {
+      this.invalidations.cleared.set(tag, generation);
+    }
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entityTypes.length === 0 || entityTypes.includes(entry.tag)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.save();
+    }
+    return removed;
+  }
+
+  /**
+   * Read persisted entries that have not expired
+   */
+  load() {
+    if (!this.path) return;
+    try {
+      const now = Date.now();
+      for (const [key, entry] of JSON.parse(readFileSync(this.path, 'utf8'))) {
+        if (entry.expiresAt > now) {
+          this.entries.set(key, { ...entry, generation: this.invalidations.generation });
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring response cache ${this.path}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Persist the entries; writes are serialized
+   */
+  save() {
+    if (!this.path) return;
+    const snapshot = JSON.stringify([...this.entries]);
+    this.writes = this.writes
+      .then(async () => {
+        await mkdir(dirname(this.path), { recursive: true });
+        await writeFile(this.path, snapshot, { encoding: 'utf8', mode: 0o600 });
+      })
+      .catch((error) => {
+        logger.warn(`Failed to write response cache ${this.path}:`, error.message);
+      });
+  }
+}
+
+export default ResponseCache;
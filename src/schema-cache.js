@@ -0,0 +1,172 @@
+/**
+ * ftrack Schema Cache
+ * Fetches entity schemas with query_schemas once and keeps them in memory,
+ * along with custom attribute configurations, and summarizes single entity
+ * types for introspection
+ */
+
+import { select } from './query-builder.js';
+
+/**
+ * Summarize one schema property for describeEntityType
+ */
+function describeProperty(name, property, schema) {
+  const description = { name };
+
+  if (property.$ref) {
+    description.type = 'relation';
+    description.entity_type = property.$ref;
+  } else if ((property.type === 'array' || property.type === 'mapped_array') && property.items?.$ref) {
+    description.type = 'collection';
+    description.entity_type = property.items.$ref;
+  } else {
+    description.type = property.type || 'variable';
+    if (property.format) description.format = property.format;
+  }
+
+  if (property.default !== undefined) description.default = property.default;
+  if ((schema.required || []).includes(name)) description.required = true;
+
+  if ((schema.computed || []).includes(name)) {
+    description.mutability = 'computed';
+  } else if ((schema.immutable || []).includes(name)) {
+    description.mutability = 'immutable';
+  } else {
+    description.mutability = 'mutable';
+  }
+
+  return description;
+}
+
+export class SchemaCache {
+  /**
+   * @param {FtrackClient} client - Client used to fetch the schemas
+   * @param {object} options - { ttlSeconds } after which everything is
+   *   fetched again; 0 keeps it until invalidate() is called
+   */
+  constructor(client, { ttlSeconds = 0 } = {}) {
+    this.client = client;
+    this.ttl = ttlSeconds * 1000;
+    this.fetchedAt = null;
+    this.schemas = null;
+    this.byType = null;
+    this.pending = null;
+    this.customAttributes = null;
+  }
+
+  /**
+   * Invalidate once the TTL has passed since the first fetch
+   */
+  expire() {
+    if (this.ttl > 0 && this.fetchedAt !== null && Date.now() - this.fetchedAt > this.ttl) {
+      this.invalidate();
+    }
+  }
+
+  /**
+   * Get all entity schemas, fetching them on first use
+   * @returns {Promise<Array>} - Array of schema objects
+   */
+  async getSchemas() {
+    this.expire();
+    if (this.schemas) {
+      return this.schemas;
+    }
+    if (!this.pending) {
+      this.pending = this.client.querySchemas()
+        .then((result) => {
+          const schemas = Array.isArray(result) ? result : result.data;
+          this.schemas = schemas;
+          this.byType = new Map(schemas.map((schema) => [schema.id, schema]));
+          this.fetchedAt ??= Date.now();
+          return schemas;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Get the schema for one entity type
+   * @returns {Promise<object|null>} - Schema, or null if the type is unknown
+   */
+  async getSchema(entityType) {
+    await this.getSchemas();
+    return this.byType.get(entityType) || null;
+  }
+
+  /**
+   * List the names of all entity types
+   */
+  async getEntityTypes() {
+    const schemas = await this.getSchemas();
+    return schemas.map((schema) => schema.id).sort();
+  }
+
+  /**
+   * Summarize one entity type: its attributes and relations with their
+   * types and whether they can be set
+   * @returns {Promise<object|null>} - Description, or null if the type is unknown
+   */
+  async describeEntityType(entityType) {
+    const schema = await this.getSchema(entityType);
+    if (!schema) {
+      return null;
+    }
+
+    const attributes = [];
+    const relations = [];
+    for (const [name, property] of Object.entries(schema.properties || {})) {
+      const description = describeProperty(name, property, schema);
+      if (description.type === 'relation' || description.type === 'collection') {
+        relations.push(description);
+      } else {
+        attributes.push(description);
+      }
+    }
+
+    return {
+      entity_type: schema.id,
+      primary_key: schema.primary_key || [],
+      default_projections: schema.default_projections || [],
+      attributes,
+      relations,
+    };
+  }
+
+  /**
+   * Get custom attribute configurations, fetching them on first use
+   * @param {string} entityType - Optional entity type to filter by (e.g., "task", "show")
+   */
+  async getCustomAttributes(entityType = null) {
+    this.expire();
+    if (!this.customAttributes) {
+      const result = await this.client.queryAll(
+        select('id', 'key', 'label', 'entity_type', 'object_type.name', 'type.name', 'is_hierarchical', 'project_id', 'default')
+          .from('CustomAttributeConfiguration')
+          .toString(),
+        { maxRows: Infinity }
+      );
+      this.customAttributes = result.data;
+      this.fetchedAt ??= Date.now();
+    }
+    if (!entityType) {
+      return this.customAttributes;
+    }
+    return this.customAttributes.filter((config) => config.entity_type === entityType);
+  }
+
+  /**
+   * Drop cached schemas and custom attributes so the next lookup fetches them again
+   */
+  invalidate() {
+    this.fetchedAt = null;
+    this.schemas = null;
+    this.byType = null;
+    this.customAttributes = null;
+  }
+}
+
+export default SchemaCache;
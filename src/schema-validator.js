@@ -0,0 +1,222 @@
+/**
+ * Schema-aware validation
+ * Checks create/update payloads and projections against the cached entity
+ * schemas before anything is sent to ftrack
+ */
+
+import { FtrackValidationError } from './errors.js';
+
+const IGNORED_KEYS = new Set(['__entity_type__']);
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the closest candidate to a misspelled name
+ * @returns {string|null} - Best match, or null if nothing is close enough
+ */
+export function suggest(name, candidates) {
+  const threshold = Math.max(2, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(name, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= threshold ? best : null;
+}
+
+function unknownIssue(kind, name, candidates) {
+  const suggestion = suggest(name, candidates);
+  return {
+    attribute: name,
+    message: suggestion
+      ? `Unknown ${kind} "${name}", did you mean "${suggestion}"?`
+      : `Unknown ${kind} "${name}"`,
+    suggestion,
+  };
+}
+
+/**
+ * Check a value against a schema property definition
+ * @returns {string|null} - Description of the mismatch, or null if the value fits
+ */
+function typeMismatch(property, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (property.$ref) {
+    return typeof value === 'object' && !Array.isArray(value)
+      ? null
+      : `expected a ${property.$ref} entity reference object`;
+  }
+
+  switch (property.type) {
+    case 'string':
+      if (property.format === 'date-time') {
+        if (typeof value === 'object' && value.__type__) return null;
+        return typeof value === 'string' && !Number.isNaN(Date.parse(value))
+          ? null
+          : 'expected an ISO 8601 date-time string';
+      }
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'integer':
+      return Number.isInteger(value) ? null : 'expected an integer';
+    case 'number':
+      return typeof value === 'number' ? null : 'expected a number';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected a boolean';
+    case 'array':
+      return Array.isArray(value) ? null : 'expected an array';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Whether a required attribute is provided, either directly or through
+ * its relation/foreign key counterpart (e.g., "status" vs. "status_id")
+ */
+function isProvided(data, name) {
+  if (data[name] !== undefined) return true;
+  if (name.endsWith('_id') && data[name.slice(0, -3)] !== undefined) return true;
+  return data[`${name}_id`] !== undefined;
+}
+
+/**
+ * Look up the schema for an entity type
+ * @throws {FtrackValidationError} - If the type is unknown, suggesting the closest match
+ */
+export async function assertEntityType(schemaCache, entityType) {
+  const schema = await schemaCache.getSchema(entityType);
+  if (!schema) {
+    const issue = unknownIssue('entity type', entityType, await schemaCache.getEntityTypes());
+    throw new FtrackValidationError(issue.message, { issues: [issue] });
+  }
+  return schema;
+}
+
+/**
+ * Validate entity data for a create or update operation
+ * @param {SchemaCache} schemaCache - Schema cache
+ * @param {string} entityType - Entity type being created or updated
+ * @param {object} data - Entity data
+ * @param {string} mode - "create" or "update"
+ * @throws {FtrackValidationError} - Listing every problem found
+ */
+export async function validateEntityData(schemaCache, entityType, data, mode) {
+  const schema = await assertEntityType(schemaCache, entityType);
+  const properties = schema.properties || {};
+  const names = Object.keys(properties);
+  const computed = new Set(schema.computed || []);
+  const immutable = new Set(schema.immutable || []);
+  const issues = [];
+
+  for (const [name, value] of Object.entries(data)) {
+    if (IGNORED_KEYS.has(name)) continue;
+
+    const property = properties[name];
+    if (!property) {
+      issues.push(unknownIssue('attribute', name, names));
+      continue;
+    }
+    if (computed.has(name)) {
+      issues.push({ attribute: name, message: `"${name}" is computed and cannot be set` });
+      continue;
+    }
+    if (mode === 'update' && immutable.has(name)) {
+      issues.push({ attribute: name, message: `"${name}" cannot be changed after creation` });
+      continue;
+    }
+    const mismatch = typeMismatch(property, value);
+    if (mismatch) {
+      issues.push({ attribute: name, message: `Invalid value for "${name}": ${mismatch}` });
+    }
+  }
+
+  if (mode === 'create') {
+    const primaryKey = new Set(schema.primary_key || []);
+    for (const name of schema.required || []) {
+      if (primaryKey.has(name) || computed.has(name)) continue;
+      if (properties[name]?.default !== undefined) continue;
+      if (!isProvided(data, name)) {
+        issues.push({ attribute: name, message: `Missing required attribute "${name}"` });
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new FtrackValidationError(
+      `Invalid ${entityType} ${mode} payload: ${issues.map((issue) => issue.message).join('; ')}`,
+      { issues }
+    );
+  }
+}
+
+/**
+ * Validate projection paths for a query. Only the first segment of a
+ * dotted path is checked, because relations may point at polymorphic
+ * base types whose subtypes define further attributes.
+ * @throws {FtrackValidationError} - Listing every unknown attribute
+ */
+export async function validateProjections(schemaCache, entityType, projections) {
+  const schema = await assertEntityType(schemaCache, entityType);
+  const names = Object.keys(schema.properties || {});
+  const issues = [];
+
+  for (const projection of projections) {
+    const [first] = projection.split('.');
+    if (!schema.properties?.[first]) {
+      issues.push(unknownIssue('attribute', first, names));
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new FtrackValidationError(
+      `Invalid projections for ${entityType}: ${issues.map((issue) => issue.message).join('; ')}`,
+      { issues }
+    );
+  }
+}
+
+/**
+ * Validate the create and update operations in a batch
+ * @throws {FtrackValidationError} - For the first invalid operation
+ */
+export async function validateOperations(schemaCache, operations) {
+  for (let i = 0; i < operations.length; i++) {
+    const operation = operations[i];
+    if ((operation.action !== 'create' && operation.action !== 'update') || !operation.entity_data) {
+      continue;
+    }
+    try {
+      await validateEntityData(schemaCache, operation.entity_type, operation.entity_data, operation.action);
+    } catch (error) {
+      error.operationIndex = i;
+      error.operation = operation;
+      throw error;
+    }
+  }
+}
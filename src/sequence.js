@@ -0,0 +1,399 @@
+/**
+ * Image Sequences
+ * Parses and formats sequence patterns such as "plate.%04d.exr [1001-1100]",
+ * finds the frames of a sequence on local disk and creates or inspects
+ * SequenceComponent containers with one member FileComponent per frame
+ */
+
+import { randomUUID } from 'node:crypto';
+import { readdir } from 'node:fs/promises';
+import { basename, dirname, sep } from 'node:path';
+import { FtrackNotFoundError, FtrackValidationError } from './errors.js';
+import { select, eq } from './query-builder.js';
+import { addToServerLocation, componentsInServerLocation, fileSize, isInServerLocation, md5Checksum, uploadComponentData, DEFAULT_UPLOAD_CONCURRENCY } from './upload.js';
+
+// Most frames a single sequence may hold, so a typo in a range cannot
+// expand into millions of frames
+export const MAX_SEQUENCE_FRAMES = 100000;
+
+// Component create operations per batch when uploading a sequence
+export const DEFAULT_SEQUENCE_CHUNK_SIZE = 100;
+
+const PATTERN = /^(.*?)(?:%(0?\d*)d|(#+))([^%#]*?)(?:\s+\[([^\]]*)\])?$/;
+
+/**
+ * Parse a frame range such as "1001-1100" or "1001-1050, 1052, 1060-1100"
+ * @returns {Array<number>} - Sorted, unique frame numbers
+ */
+export function parseFrameRanges(ranges) {
+  const frames = new Set();
+  for (const part of ranges.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const match = /^(-?\d+)(?:\s*-\s*(-?\d+))?$/.exec(part);
+    if (!match) {
+      throw new FtrackValidationError(`Invalid frame range "${part}"; use e.g. "1001-1100" or "1001-1050, 1060"`);
+    }
+    const start = Number(match[1]);
+    const end = match[2] === undefined ? start : Number(match[2]);
+    if (end < start) {
+      throw new FtrackValidationError(`Frame range "${part}" ends before it starts`);
+    }
+    if (frames.size + end - start + 1 > MAX_SEQUENCE_FRAMES) {
+      throw new FtrackValidationError(`Frame range "${ranges}" has more than ${MAX_SEQUENCE_FRAMES} frames`);
+    }
+    for (let frame = start; frame <= end; frame++) {
+      frames.add(frame);
+    }
+  }
+  return [...frames].sort((a, b) => a - b);
+}
+
+/**
+ * Collapse frame numbers into ranges, e.g. [[1001, 1050], [1052, 1052]]
+ */
+export function frameRanges(frames) {
+  const sorted = [...new Set(frames)].sort((a, b) => a - b);
+  const ranges = [];
+  for (const frame of sorted) {
+    const last = ranges.at(-1);
+    if (last && frame === last[1] + 1) {
+      last[1] = frame;
+    } else {
+      ranges.push([frame, frame]);
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Format frame numbers as a range string, e.g. "1001-1050, 1052"
+ */
+export function formatFrameRanges(frames) {
+  return frameRanges(frames)
+    .map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`))
+    .join(', ');
+}
+
+/**
+ * Parse a sequence pattern. The frame number is written as %04d (or %d for
+ * no padding) or as one # per digit; the frame range in brackets is optional.
+ * @param {string} pattern - e.g. "/shots/sh0100/plate.%04d.exr [1001-1100]"
+ * @returns {object} - { head, padding, tail, frames }, frames is null when
+ *   the pattern has no range
+ */
+export function parseSequence(pattern) {
+  const match = PATTERN.exec(pattern.trim());
+  if (!match) {
+    throw new FtrackValidationError(`"${pattern}" is not a sequence pattern; write the frame number as %04d or ####, e.g. "plate.%04d.exr [1001-1100]"`);
+  }
+  const [, head, printfPadding, hashes, tail, ranges] = match;
+  return {
+    head,
+    padding: hashes ? hashes.length : Number(printfPadding || 0),
+    tail,
+    frames: ranges === undefined ? null : parseFrameRanges(ranges),
+  };
+}
+
+/**
+ * Format a sequence as a pattern, e.g. "plate.%04d.exr [1001-1100]"
+ * @param {object} sequence - { head, padding, tail, frames }
+ */
+export function formatSequence({ head, padding, tail, frames = null }) {
+  const pattern = `${head}%${padding > 0 ? `0${padding}` : ''}d${tail}`;
+  return frames?.length ? `${pattern} [${formatFrameRanges(frames)}]` : pattern;
+}
+
+/**
+ * Path of one frame of a sequence
+ */
+export function framePath({ head, padding, tail }, frame) {
+  const digits = String(Math.abs(frame)).padStart(padding, '0');
+  return `${head}${frame < 0 ? '-' : ''}${digits}${tail}`;
+}
+
+/**
+ * Frames of a sequence found on local disk. Frame numbers with more digits
+ * than the padding count, as long as they have no leading zeros.
+ * @returns {Promise<Array<number>>} - Sorted frame numbers
+ */
+export async function scanFrames({ head, padding, tail }) {
+  // A head ending in a separator is the directory itself, e.g. "/shots/seq/" for "/shots/seq/%04d.exr"
+  const inDirectory = head.endsWith('/') || head.endsWith(sep);
+  const directory = inDirectory ? head : dirname(head) || '.';
+  const prefix = inDirectory ? '' : basename(head);
+  let names;
+  try {
+    names = await readdir(directory);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FtrackNotFoundError(`Directory not found: ${directory}`);
+    }
+    throw error;
+  }
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const matcher = new RegExp(`^${escape(prefix)}(-?)(\\d+)${escape(tail)}$`);
+  const frames = [];
+  for (const name of names) {
+    const match = matcher.exec(name);
+    if (!match) continue;
+    const digits = match[2];
+    if (digits.length < padding || (digits.length > padding && padding > 0 && digits.startsWith('0'))) continue;
+    frames.push(Number(`${match[1]}${digits}`));
+  }
+  return frames.sort((a, b) => a - b);
+}
+
+/**
+ * Compare the frames a sequence should have with the frames present
+ * @returns {object} - { missing, extra } frame numbers
+ */
+export function compareFrames(expected, present) {
+  const expectedSet = new Set(expected);
+  const presentSet = new Set(present);
+  return {
+    missing: expected.filter((frame) => !presentSet.has(frame)),
+    extra: present.filter((frame) => !expectedSet.has(frame)),
+  };
+}
+
+/**
+ * Frames of a sequence pattern on local disk: those in its range, or all
+ * frames found when the pattern has no range
+ * @returns {Promise<object>} - { sequence, frames, missing }
+ */
+export async function localFrames(pattern) {
+  const sequence = parseSequence(pattern);
+  const present = await scanFrames(sequence);
+  const frames = sequence.frames ?? present;
+  if (frames.length === 0) {
+    throw new FtrackNotFoundError(`No frames of ${formatSequence(sequence)} found on disk`);
+  }
+  return { sequence: { ...sequence, frames }, frames, missing: compareFrames(frames, present).missing };
+}
+
+/**
+ * Whether a path is written as a sequence pattern rather than naming one file
+ */
+export function isSequencePattern(path) {
+  return PATTERN.test(path.trim());
+}
+
+/**
+ * Default component name of a sequence: the file name head without its
+ * trailing separator, e.g. "plate" for "plate.%04d.exr"
+ */
+export function sequenceName(sequence) {
+  return basename(sequence.head).replace(/[._-]+$/, '') || 'main';
+}
+
+/**
+ * Frames of a local sequence with their file sizes, for uploading
+ * @returns {Promise<object>} - { sequence, frames, sizes, size }: sizes maps
+ *   frame numbers to bytes, size is the total
+ * @throws {FtrackValidationError} - If frames of the range are missing on disk
+ */
+export async function readSequence(pattern) {
+  const { sequence, frames, missing } = await localFrames(pattern);
+  if (missing.length > 0) {
+    throw new FtrackValidationError(
+      `${missing.length} frame(s) of ${formatSequence(sequence)} are missing on disk: ${formatFrameRanges(missing)}`,
+      { issues: [{ attribute: 'pattern', message: `Missing frames ${formatFrameRanges(missing)}`, suggestion: null, missing_frames: missing }] }
+    );
+  }
+  const sizes = new Map();
+  for (const frame of frames) {
+    sizes.set(frame, await fileSize(framePath(sequence, frame)));
+  }
+  const size = [...sizes.values()].reduce((sum, value) => sum + value, 0);
+  return { sequence, frames, sizes, size };
+}
+
+/**
+ * Describe an existing SequenceComponent and its member frames
+ * @param {FtrackClient} client
+ * @param {string} componentId
+ * @returns {Promise<object>} - { component_id, name, file_type, padding, size,
+ *   pattern, frame_count, ranges, gaps, other_members, members }, where
+ *   members maps frame numbers to member component IDs
+ */
+export async function describeSequenceComponent(client, componentId) {
+  const { data } = await client.query(
+    select('id', 'name', 'file_type', 'padding', 'size').from('SequenceComponent').where(eq('id', componentId)).toString()
+  );
+  const container = data[0];
+  if (!container) {
+    throw new FtrackNotFoundError(`Sequence component not found: ${componentId}`);
+  }
+  const { data: members } = await client.queryAll(
+    select('id', 'name').from('FileComponent').where(eq('container_id', componentId)).toString(),
+    { maxRows: Number.MAX_SAFE_INTEGER }
+  );
+
+  // Members are named by frame number
+  const frameMembers = new Map();
+  const others = [];
+  for (const member of members) {
+    if (/^-?\d+$/.test(member.name)) {
+      frameMembers.set(Number(member.name), member.id);
+    } else {
+      others.push({ id: member.id, name: member.name });
+    }
+  }
+  const frames = [...frameMembers.keys()].sort((a, b) => a - b);
+  // Frames missing between the first and last member, e.g. "1051, 1060-1064"
+  const ranges = frameRanges(frames);
+  const gaps = ranges.slice(1).map(([start], i) => {
+    const from = ranges[i][1] + 1;
+    return from === start - 1 ? `${from}` : `${from}-${start - 1}`;
+  }).join(', ');
+  const padding = container.padding ?? 0;
+  return {
+    component_id: container.id,
+    name: container.name,
+    file_type: container.file_type,
+    padding,
+    size: container.size,
+    pattern: formatSequence({ head: `${container.name}.`, padding, tail: container.file_type ?? '', frames }),
+    frame_count: frames.length,
+    ranges: formatFrameRanges(frames),
+    gaps,
+    other_members: others,
+    members: frameMembers,
+  };
+}
+
+/**
+ * Upload the frames of a sequence into members of a container, several
+ * frames at a time, and add each member to the server location
+ * @param {FtrackClient} client
+ * @param {object} sequence - From parseSequence
+ * @param {Array} members - [{ id, frame, size }] member components to upload into
+ * @param {object} options - { concurrency, onProgress(bytesSent, totalBytes, message) }
+ */
+export async function uploadFrames(client, sequence, members, { concurrency = DEFAULT_UPLOAD_CONCURRENCY, onProgress = () => {} } = {}) {
+  const total = members.reduce((sum, member) => sum + member.size, 0);
+  let sent = 0;
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < members.length && !failed) {
+      const member = members[next++];
+      try {
+        const path = framePath(sequence, member.frame);
+        await uploadComponentData(client, member.id, path, {
+          size: member.size,
+          checksum: await md5Checksum(path),
+          fileName: basename(path),
+          concurrency: 1,
+        });
+        await addToServerLocation(client, member.id);
+        sent += member.size;
+        onProgress(sent, total, `Uploaded frame ${member.frame}`);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  // Let frames in flight finish before reporting the first failure, so a
+  // retry does not race uploads of the failed call
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.max(1, Math.min(concurrency, members.length)) }, worker));
+  const rejected = outcomes.find((outcome) => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+}
+
+/**
+ * Create a SequenceComponent with one member FileComponent per frame and
+ * upload the frames into the server location. The components are created
+ * in batches of chunkSize operations, the container first. Passing the
+ * componentId of an earlier, failed call creates the members it did not get
+ * to and uploads the frames that are not in the server location yet,
+ * instead of creating another container.
+ * @param {FtrackClient} client
+ * @param {string} pattern - Local sequence pattern, with or without a range
+ * @param {object} options
+ * @param {string} options.componentId - Existing container to upload into
+ * @param {string} options.name - Container name, defaults to the file name
+ *   head without its trailing separator (e.g. "plate")
+ * @param {string} options.versionId - AssetVersion the container belongs to
+ * @param {number} options.concurrency - Frames uploaded at once
+ * @param {number} options.chunkSize - Create operations per batch
+ * @param {Function} options.onComponent - Called with the container ID once it exists
+ * @param {Function} options.onProgress - Called with (bytesSent, totalBytes, message)
+ * @returns {Promise<object>} - { component_id, name, pattern, frame_count, uploaded, size, resumed }
+ */
+export async function uploadSequence(client, pattern, {
+  componentId = null,
+  name = null,
+  versionId = null,
+  concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+  chunkSize = DEFAULT_SEQUENCE_CHUNK_SIZE,
+  onComponent = () => {},
+  onProgress = () => {},
+} = {}) {
+  const resumed = componentId !== null;
+  const { sequence, frames, sizes, size } = await readSequence(pattern);
+
+  // Frames to upload, and the members that have to be created first
+  const members = [];
+  const creates = [];
+  let containerName;
+  const addMember = (frame) => {
+    const member = { id: randomUUID(), frame, size: sizes.get(frame) };
+    members.push(member);
+    creates.push({
+      action: 'create',
+      entity_type: 'FileComponent',
+      entity_data: { id: member.id, name: String(frame), file_type: sequence.tail, size: member.size, container_id: componentId },
+    });
+  };
+  if (componentId) {
+    // Members an interrupted call did not get to create are created now
+    const existing = await describeSequenceComponent(client, componentId);
+    const stored = await componentsInServerLocation(
+      client,
+      frames.map((frame) => existing.members.get(frame)).filter((id) => id !== undefined)
+    );
+    for (const frame of frames) {
+      const id = existing.members.get(frame);
+      if (id === undefined) {
+        addMember(frame);
+      } else if (!stored.has(id)) {
+        members.push({ id, frame, size: sizes.get(frame) });
+      }
+    }
+    containerName = existing.name;
+    onComponent(componentId);
+  } else {
+    containerName = name ?? sequenceName(sequence);
+    componentId = randomUUID();
+    const container = { id: componentId, name: containerName, file_type: sequence.tail, padding: sequence.padding, size };
+    if (versionId) container.version_id = versionId;
+    creates.push({ action: 'create', entity_type: 'SequenceComponent', entity_data: container });
+    frames.forEach(addMember);
+  }
+
+  for (let start = 0; start < creates.length; start += chunkSize) {
+    await client.batch(creates.slice(start, start + chunkSize));
+    // The first batch creates the container; from here on the upload can be continued
+    if (start === 0 && !resumed) {
+      onComponent(componentId);
+    }
+  }
+
+  await uploadFrames(client, sequence, members, { concurrency, onProgress });
+  if (!await isInServerLocation(client, componentId)) {
+    await addToServerLocation(client, componentId);
+  }
+  return {
+    component_id: componentId,
+    name: containerName,
+    pattern: formatSequence(sequence),
+    frame_count: frames.length,
+    uploaded: members.length,
+    size,
+    resumed,
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Session Authentication
+ * Works out which ftrack user an HTTP session runs as, from a bearer token
+ * mapped to ftrack credentials or from credentials sent in request headers
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { FtrackAuthenticationError } from './errors.js';
+
+export const API_USER_HEADER = 'x-ftrack-api-user';
+export const API_KEY_HEADER = 'x-ftrack-api-key';
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Whether a listen address only accepts connections from this machine
+ */
+function isLoopbackHost(host) {
+  return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+export class SessionAuth {
+  /**
+   * @param {object} options
+   * @param {object} options.tokens - Map of access token to { api_user, api_key }
+   * @param {boolean} options.allowHeaderCredentials - Accept X-Ftrack-Api-User/X-Ftrack-Api-Key headers
+   * @param {boolean} options.requireAuth - Reject sessions without credentials
+   *   instead of running them as the server's own ftrack user
+   */
+  constructor({ tokens = {}, allowHeaderCredentials = true, requireAuth = true } = {}) {
+    this.tokens = new Map();
+    for (const [token, credentials] of Object.entries(tokens)) {
+      if (!credentials?.api_user || !credentials?.api_key) {
+        throw new Error('Every access token needs api_user and api_key');
+      }
+      this.tokens.set(hashToken(token), { apiUser: credentials.api_user, apiKey: credentials.api_key });
+    }
+    this.allowHeaderCredentials = allowHeaderCredentials;
+    this.requireAuth = requireAuth;
+  }
+
+  /**
+   * Build from the tokens_file (a JSON file mapping tokens to credentials),
+   * header_credentials and require_auth settings. Sessions without
+   * credentials are only allowed when the server listens on a loopback
+   * address, whatever require_auth says.
+   */
+  static fromConfig(config) {
+    const tokensFile = config.tokens_file;
+    let tokens = {};
+    if (tokensFile) {
+      try {
+        tokens = JSON.parse(readFileSync(tokensFile, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read access tokens from ${tokensFile}: ${error.message}`);
+      }
+    }
+    return new SessionAuth({
+      tokens,
+      allowHeaderCredentials: config.header_credentials,
+      requireAuth: config.require_auth || !isLoopbackHost(config.host),
+    });
+  }
+
+  /**
+   * Get the ftrack credentials for a request
+   * @param {object} headers - Request headers (lower-case names)
+   * @returns {object|null} - { apiUser, apiKey }, or null to use the server's own credentials
+   * @throws {FtrackAuthenticationError} - If the credentials are unknown, not allowed, or missing but required
+   */
+  resolve(headers) {
+    const authorization = headers.authorization || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+    if (bearer) {
+      const credentials = this.tokens.get(hashToken(bearer[1].trim()));
+      if (!credentials) {
+        throw new FtrackAuthenticationError('Unknown access token', { status: 401 });
+      }
+      return credentials;
+    }
+
+    const apiUser = headers[API_USER_HEADER];
+    const apiKey = headers[API_KEY_HEADER];
+    if (apiUser || apiKey) {
+      if (!this.allowHeaderCredentials) {
+        throw new FtrackAuthenticationError('Credentials in request headers are disabled on this server', { status: 401 });
+      }
+      if (!apiUser || !apiKey) {
+        throw new FtrackAuthenticationError(`Both ${API_USER_HEADER} and ${API_KEY_HEADER} headers are required`, { status: 401 });
+      }
+      return { apiUser, apiKey };
+    }
+
+    if (this.requireAuth) {
+      throw new FtrackAuthenticationError('Authentication required: send a bearer token or ftrack credentials', { status: 401 });
+    }
+    return null;
+  }
+}
+
+export default SessionAuth;
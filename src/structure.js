@@ -0,0 +1,306 @@
+/**
+ * Structure Creation
+ * Turns a nested spec of sequences, shots and tasks (or a flat shot list
+ * with task templates) into create operations below an existing context,
+ * skipping entities that already exist
+ */
+
+import { randomUUID } from 'node:crypto';
+import { parse as parseYaml } from 'yaml';
+import { FtrackValidationError } from './errors.js';
+import { select, isIn } from './query-builder.js';
+import { resolveStatus } from './resolver.js';
+import { suggest } from './schema-validator.js';
+
+export const DEFAULT_STRUCTURE_CHUNK_SIZE = 100;
+
+// Parent IDs per existing-children query
+const PARENTS_PER_QUERY = 100;
+
+/**
+ * Parse a spec given as an object or as YAML/JSON text
+ */
+export function parseSpec(spec) {
+  if (typeof spec !== 'string') {
+    return spec;
+  }
+  try {
+    return parseYaml(spec);
+  } catch (error) {
+    throw new FtrackValidationError(`Could not parse structure spec: ${error.message}`);
+  }
+}
+
+/**
+ * Expand the entries of a tasks list into task nodes. Strings name a
+ * template from task_templates, or else a task of the task type with that name.
+ */
+function expandTasks(tasks, templates, path, issues) {
+  if (!Array.isArray(tasks)) {
+    issues.push({ attribute: path, message: 'tasks must be a list', suggestion: null });
+    return [];
+  }
+  return tasks.flatMap((task, i) => {
+    if (typeof task === 'string') {
+      const template = templates[task];
+      if (template) {
+        return (Array.isArray(template) ? template : [template])
+          .map((item) => ({ name: task, type: task, ...item, object_type: 'Task' }));
+      }
+      return [{ name: task, type: task, object_type: 'Task' }];
+    }
+    if (!task || typeof task !== 'object') {
+      issues.push({ attribute: `${path}[${i}]`, message: 'Task entries must be names or objects', suggestion: null });
+      return [];
+    }
+    return [{ ...task, object_type: 'Task' }];
+  });
+}
+
+/**
+ * Normalize a node and its descendants into
+ * { name, object_type, type, status, description, children, label }
+ */
+function normalizeNode(node, templates, path, issues) {
+  if (!node || typeof node !== 'object' || typeof node.name !== 'string' || !node.name.trim()) {
+    issues.push({ attribute: `${path}.name`, message: 'Every node needs a name', suggestion: null });
+    return null;
+  }
+  if (!node.object_type) {
+    issues.push({ attribute: `${path}.object_type`, message: `"${node.name}" needs an object_type (e.g. "Sequence", "Shot")`, suggestion: null });
+    return null;
+  }
+  const children = [
+    ...(node.children ?? []).map((child, i) => normalizeNode(child, templates, `${path}.children[${i}]`, issues)),
+    ...expandTasks(node.tasks ?? [], templates, `${path}.tasks`, issues)
+      .map((task, i) => normalizeNode(task, templates, `${path}.tasks[${i}]`, issues)),
+  ].filter(Boolean);
+  return {
+    name: node.name.trim(),
+    object_type: node.object_type,
+    type: node.type ?? null,
+    status: node.status ?? null,
+    description: node.description ?? null,
+    children,
+    label: path,
+  };
+}
+
+/**
+ * Turn a shot list into sequence and shot nodes:
+ *   shots: ["sh0100", { name, sequence, tasks }], shot_tasks: default tasks per shot
+ */
+function shotListNodes(spec) {
+  const sequences = new Map();
+  const nodes = [];
+  for (const entry of spec.shots) {
+    const shot = typeof entry === 'string' ? { name: entry } : entry;
+    const node = {
+      object_type: 'Shot',
+      tasks: spec.shot_tasks ?? [],
+      ...shot,
+    };
+    delete node.sequence;
+    if (shot?.sequence) {
+      if (!sequences.has(shot.sequence)) {
+        const sequence = { name: shot.sequence, object_type: 'Sequence', children: [] };
+        sequences.set(shot.sequence, sequence);
+        nodes.push(sequence);
+      }
+      sequences.get(shot.sequence).children.push(node);
+    } else {
+      nodes.push(node);
+    }
+  }
+  return nodes;
+}
+
+/**
+ * Validate a spec and normalize it into a list of top-level nodes
+ * @param {object} spec - { children, shots, shot_tasks, task_templates }
+ * @throws {FtrackValidationError} - With one issue per problem found
+ */
+export function normalizeSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new FtrackValidationError('Structure spec must be an object with children or shots');
+  }
+  const templates = spec.task_templates ?? {};
+  const roots = [
+    ...(spec.children ?? []),
+    ...(Array.isArray(spec.shots) ? shotListNodes(spec) : []),
+  ];
+  if (roots.length === 0) {
+    throw new FtrackValidationError('Structure spec has no children or shots');
+  }
+
+  const issues = [];
+  const nodes = roots.map((node, i) => normalizeNode(node, templates, `children[${i}]`, issues)).filter(Boolean);
+  if (issues.length > 0) {
+    throw new FtrackValidationError(`Invalid structure spec: ${issues.length} problem(s)`, { issues });
+  }
+  return nodes;
+}
+
+function* walk(nodes) {
+  for (const node of nodes) {
+    yield node;
+    yield* walk(node.children);
+  }
+}
+
+/**
+ * Look up a name in a list of { id, name } entities, case-insensitively
+ */
+function byName(entities, name) {
+  const wanted = name.toLowerCase();
+  return entities.find((entity) => entity.name.toLowerCase() === wanted) ?? null;
+}
+
+/**
+ * Resolve the object type, task type and status names of every node
+ * to IDs and entity type names
+ * @throws {FtrackValidationError} - With one issue per unknown name
+ */
+async function resolveNames(client, nodes) {
+  const [{ data: objectTypes }, { data: taskTypes }] = await Promise.all([
+    client.query(select('id', 'name').from('ObjectType').toString()),
+    client.query(select('id', 'name').from('Type').toString()),
+  ]);
+  const statuses = new Map();
+  const issues = [];
+
+  for (const node of walk(nodes)) {
+    const objectType = byName(objectTypes, node.object_type);
+    if (!objectType) {
+      const suggestion = suggest(node.object_type, objectTypes.map((item) => item.name));
+      issues.push({
+        attribute: `${node.label}.object_type`,
+        message: `Unknown object type "${node.object_type}"${suggestion ? `, did you mean "${suggestion}"?` : ''}`,
+        suggestion,
+      });
+    } else {
+      // Entity types are object type names without spaces, e.g. AssetBuild
+      node.entityType = objectType.name.replace(/\s+/g, '');
+    }
+
+    if (node.type) {
+      const taskType = byName(taskTypes, node.type);
+      if (!taskType) {
+        const suggestion = suggest(node.type, taskTypes.map((item) => item.name));
+        issues.push({
+          attribute: `${node.label}.type`,
+          message: `Unknown task type "${node.type}"${suggestion ? `, did you mean "${suggestion}"?` : ''}; add it to task_templates to map a short name to a type`,
+          suggestion,
+        });
+      } else {
+        node.typeId = taskType.id;
+      }
+    }
+
+    if (node.status) {
+      try {
+        if (!statuses.has(node.status)) {
+          statuses.set(node.status, await resolveStatus(client, node.status));
+        }
+        node.statusId = statuses.get(node.status);
+      } catch (error) {
+        issues.push({ attribute: `${node.label}.status`, message: error.message, suggestion: null });
+      }
+    }
+  }
+
+  if (issues.length > 0) {
+    throw new FtrackValidationError(`Invalid structure spec: ${issues.length} problem(s)`, { issues });
+  }
+}
+
+/**
+ * Names of the existing children of each parent
+ * @returns {Promise<Map>} - Parent ID to Map of lower-case name to child ID
+ */
+async function existingChildren(client, parentIds) {
+  const children = new Map(parentIds.map((id) => [id, new Map()]));
+  for (let start = 0; start < parentIds.length; start += PARENTS_PER_QUERY) {
+    const { data } = await client.queryAll(
+      select('id', 'name', 'parent_id')
+        .from('TypedContext')
+        .where(isIn('parent_id', parentIds.slice(start, start + PARENTS_PER_QUERY)))
+        .toString(),
+      { maxRows: Number.MAX_SAFE_INTEGER }
+    );
+    for (const child of data) {
+      children.get(child.parent_id)?.set(child.name.toLowerCase(), child.id);
+    }
+  }
+  return children;
+}
+
+/**
+ * Plan the create operations for a spec below an existing context.
+ * Entities that already exist (same name under the same parent) are
+ * skipped and their children are matched below them.
+ * @param {FtrackClient} client
+ * @param {object} root - { id, path } of the context to create under
+ * @param {Array} nodes - Normalized nodes from normalizeSpec
+ * @returns {Promise<object>} - { operations, created, skipped }, where
+ *   created and skipped list { id, path, entity_type }; operations are
+ *   ordered parents first
+ */
+export async function planStructure(client, root, nodes) {
+  await resolveNames(client, nodes);
+
+  const operations = [];
+  const created = [];
+  const skipped = [];
+  let level = nodes.map((node) => ({ node, parentId: root.id, parentPath: root.path, parentExists: true }));
+
+  while (level.length > 0) {
+    const existingParents = [...new Set(level.filter((item) => item.parentExists).map((item) => item.parentId))];
+    const existing = existingParents.length > 0 ? await existingChildren(client, existingParents) : new Map();
+    const next = [];
+    const planned = new Set();
+
+    for (const { node, parentId, parentPath, parentExists } of level) {
+      const path = `${parentPath}/${node.name}`;
+      const key = `${parentId}\n${node.name.toLowerCase()}`;
+      let id = parentExists ? existing.get(parentId)?.get(node.name.toLowerCase()) : undefined;
+      const exists = id !== undefined;
+
+      if (exists) {
+        skipped.push({ id, path, entity_type: node.entityType });
+      } else if (planned.has(key)) {
+        // The same name twice under one parent in the spec
+        throw new FtrackValidationError(`"${path}" appears more than once in the structure spec`, {
+          issues: [{ attribute: node.label, message: `Duplicate name "${node.name}"`, suggestion: null }],
+        });
+      } else {
+        id = randomUUID();
+        const data = { id, name: node.name, parent_id: parentId };
+        if (node.typeId) data.type_id = node.typeId;
+        if (node.statusId) data.status_id = node.statusId;
+        if (node.description) data.description = node.description;
+        operations.push({ action: 'create', entity_type: node.entityType, entity_data: data });
+        created.push({ id, path, entity_type: node.entityType });
+      }
+      planned.add(key);
+
+      for (const child of node.children) {
+        next.push({ node: child, parentId: id, parentPath: path, parentExists: exists });
+      }
+    }
+    level = next;
+  }
+
+  return { operations, created, skipped };
+}
+
+/**
+ * Count entities per entity type, e.g. { Sequence: 2, Shot: 40 }
+ */
+export function countByType(entities) {
+  const counts = {};
+  for (const { entity_type } of entities) {
+    counts[entity_type] = (counts[entity_type] ?? 0) + 1;
+  }
+  return counts;
+}
@@ -0,0 +1,178 @@
+/**
+ * Tool Policy
+ * Tags every tool with a category and decides which tools are exposed
+ * based on the server profile and explicit allow/deny lists
+ */
+
+/**
+ * Tool categories:
+ *   read  - lookups that never change data
+ *   write - production changes (entities, notes, statuses, media, jobs)
+ *   admin - users, security roles, API keys, 2FA and credential resets
+ */
+export const TOOL_CATEGORIES = {
+  // Query
+  ftrack_query: 'read',
+  ftrack_parse_query: 'read',
+  ftrack_query_schemas: 'read',
+  ftrack_list_entity_types: 'read',
+  ftrack_describe_entity_type: 'read',
+  ftrack_list_custom_attributes: 'read',
+  ftrack_query_server_information: 'read',
+  ftrack_search: 'read',
+  ftrack_query_structured: 'read',
+  ftrack_list_workspaces: 'read',
+  ftrack_cache_clear: 'read',
+
+  // CRUD
+  ftrack_create: 'write',
+  ftrack_update: 'write',
+  ftrack_delete: 'write',
+  ftrack_batch: 'write',
+
+  // Users and security roles
+  ftrack_add_user_security_role: 'admin',
+  ftrack_remove_user_security_role: 'admin',
+  ftrack_update_user_security_role: 'admin',
+  ftrack_grant_user_security_role_project: 'admin',
+  ftrack_revoke_user_security_role_project: 'admin',
+  ftrack_assume_user: 'admin',
+  ftrack_un_assume_user: 'admin',
+  ftrack_send_user_invite: 'admin',
+
+  // API keys
+  ftrack_grant_api_key_project: 'admin',
+  ftrack_revoke_api_key_project: 'admin',
+  ftrack_grant_api_key_security_role: 'admin',
+  ftrack_revoke_api_key_security_role: 'admin',
+
+  // 2FA and resets
+  ftrack_configure_otp: 'admin',
+  ftrack_configure_totp: 'admin',
+  ftrack_generate_totp: 'admin',
+  ftrack_disable_2fa: 'admin',
+  ftrack_reset_remote_api_key: 'admin',
+  ftrack_reset_remote_password: 'admin',
+
+  // Files and media
+  ftrack_get_upload_metadata: 'write',
+  ftrack_complete_multipart_upload: 'write',
+  ftrack_generate_signed_url: 'read',
+  ftrack_encode_media: 'write',
+  ftrack_upload_file: 'write',
+  ftrack_publish_version: 'write',
+  ftrack_download_component: 'write',
+  ftrack_upload_sequence: 'write',
+  ftrack_get_sequence_frames: 'read',
+
+  // Other operations
+  ftrack_convert_entity: 'write',
+  ftrack_permissions: 'read',
+  ftrack_storage_usage: 'read',
+  ftrack_send_review_session_invite: 'write',
+
+  // Delayed jobs
+  ftrack_wait_for_job: 'read',
+  ftrack_csv_import_delayed_job: 'write',
+  ftrack_delete_delayed_job: 'write',
+  ftrack_export_review_session_feedback_delayed_job: 'write',
+  ftrack_iconik_sync_structure_delayed_job: 'admin',
+  ftrack_sync_ldap_users_delayed_job: 'admin',
+
+  // Convenience
+  ftrack_list_projects: 'read',
+  ftrack_list_tasks: 'read',
+  ftrack_list_users: 'read',
+  ftrack_list_asset_versions: 'read',
+  ftrack_list_statuses: 'read',
+  ftrack_list_types: 'read',
+  ftrack_list_priorities: 'read',
+  ftrack_get_entity: 'read',
+  ftrack_create_note: 'write',
+  ftrack_list_notes: 'read',
+  ftrack_update_task_status: 'write',
+  ftrack_assign_user_to_task: 'write',
+  ftrack_list_security_roles: 'read',
+  ftrack_list_review_sessions: 'read',
+
+  // Hierarchy
+  ftrack_get_hierarchy: 'read',
+  ftrack_resolve_path: 'read',
+  ftrack_create_structure: 'write',
+
+  // Audit
+  ftrack_audit_log: 'read',
+  ftrack_undo: 'write',
+};
+
+export const PROFILES = {
+  'read-only': ['read'],
+  production: ['read', 'write'],
+  admin: ['read', 'write', 'admin'],
+};
+
+export const DEFAULT_PROFILE = 'admin';
+
+/**
+ * Turn a comma-separated list of tool names (with optional * wildcards)
+ * into matching regular expressions
+ */
+function parsePatterns(list) {
+  if (!list) return [];
+  const entries = Array.isArray(list) ? list : list.split(',');
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => new RegExp(`^${entry.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`));
+}
+
+export class ToolPolicy {
+  /**
+   * @param {object} options - { profile, allow, deny }; allow and deny are
+   *   arrays or comma-separated strings of tool names, "*" matches anything
+   */
+  constructor({ profile = DEFAULT_PROFILE, allow = null, deny = null } = {}) {
+    if (!PROFILES[profile]) {
+      throw new Error(`Unknown tool profile "${profile}". Expected one of: ${Object.keys(PROFILES).join(', ')}`);
+    }
+    this.profile = profile;
+    this.categories = new Set(PROFILES[profile]);
+    this.allow = parsePatterns(allow);
+    this.deny = parsePatterns(deny);
+  }
+
+  /**
+   * Build a policy from the profile, tools_allow and tools_deny settings
+   */
+  static fromConfig(config) {
+    return new ToolPolicy({
+      profile: config.profile,
+      allow: config.tools_allow,
+      deny: config.tools_deny,
+    });
+  }
+
+  /**
+   * Get the category of a tool
+   * @throws {Error} - If the tool has not been tagged
+   */
+  categoryOf(name) {
+    const category = TOOL_CATEGORIES[name];
+    if (!category) {
+      throw new Error(`Tool "${name}" has no category in TOOL_CATEGORIES`);
+    }
+    return category;
+  }
+
+  /**
+   * Whether a tool should be registered: its category must be part of the
+   * profile, it must match the allow list (if any) and not match the deny list
+   */
+  isEnabled(name) {
+    if (!this.categories.has(this.categoryOf(name))) return false;
+    if (this.allow.length > 0 && !this.allow.some((pattern) => pattern.test(name))) return false;
+    return !this.deny.some((pattern) => pattern.test(name));
+  }
+}
+
+export default ToolPolicy;
@@ -0,0 +1,131 @@
+/**
+ * Undo
+ * Builds inverse operations for recorded change sets and checks whether
+ * the entities involved have changed since
+ */
+
+import { fetchCurrentValues } from './dry-run.js';
+
+/**
+ * Build the operation that reverts one applied operation
+ * @param {object} operation - Operation that was sent
+ * @param {object} result - Its result from the server
+ * @param {object|null} previous - Entity values captured before it was sent
+ * @returns {object|null} - Inverse operation, or null if it cannot be reverted
+ */
+function inverseOperation(operation, result, previous) {
+  if (operation.action === 'update' && previous) {
+    const entityData = {};
+    for (const name of Object.keys(operation.entity_data || {})) {
+      if (name in previous) {
+        entityData[name] = previous[name];
+      }
+    }
+    return {
+      action: 'update',
+      entity_type: operation.entity_type,
+      entity_key: operation.entity_key,
+      entity_data: entityData,
+    };
+  }
+
+  if (operation.action === 'create' && result?.data?.id) {
+    return {
+      action: 'delete',
+      entity_type: operation.entity_type,
+      entity_key: [result.data.id],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Build the undo plan for the mutating operations of one request
+ * @param {Array} operations - Mutating operations that were sent, in order
+ * @param {Array} results - Their results
+ * @param {Array} previous - Values captured before sending, per operation
+ * @returns {{ undo: Array, irreversible: Array }} - Inverse operations in the
+ *   order they must run, and a summary of operations that cannot be reverted
+ */
+export function buildUndo(operations, results, previous) {
+  const undo = [];
+  const irreversible = [];
+
+  operations.forEach((operation, i) => {
+    const inverse = inverseOperation(operation, results[i], previous[i]);
+    if (inverse) {
+      undo.unshift(inverse);
+    } else {
+      irreversible.push({
+        action: operation.action,
+        entity_type: operation.entity_type ?? null,
+        entity_key: operation.entity_key ?? null,
+      });
+    }
+  });
+
+  return { undo, irreversible };
+}
+
+/**
+ * Reduce a value to something comparable across what was sent and what
+ * the server returns (datetime wrappers, entity references)
+ */
+function normalize(value) {
+  if (value && typeof value === 'object') {
+    if (value.__type__) return normalize(value.value);
+    if (value.id) return value.id;
+  }
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value))) {
+    return Date.parse(value);
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Find entities that changed after a change set was applied: attributes
+ * that no longer hold the values it wrote, and created entities that no
+ * longer exist
+ * @param {FtrackClient} client - Client used to look up current values
+ * @param {object} entry - Audit log entry
+ * @returns {Promise<Array>} - [{ entity_type, entity_key, attribute, expected, current }]
+ */
+export async function findConflicts(client, entry) {
+  // Values written by the change set, last write wins
+  const written = new Map();
+  for (const operation of entry.operations) {
+    if (operation.action !== 'update') continue;
+    const key = `${operation.entity_type}:${JSON.stringify(operation.entity_key)}`;
+    written.set(key, { ...written.get(key), ...operation.entity_data });
+  }
+
+  const current = await fetchCurrentValues(client, entry.undo);
+  const conflicts = [];
+
+  entry.undo.forEach((inverse, i) => {
+    const entity = current.get(i);
+    if (inverse.action === 'delete') {
+      if (!entity) {
+        conflicts.push({ entity_type: inverse.entity_type, entity_key: inverse.entity_key, attribute: null, expected: 'exists', current: null });
+      }
+      return;
+    }
+
+    const expected = written.get(`${inverse.entity_type}:${JSON.stringify(inverse.entity_key)}`) || {};
+    for (const attribute of Object.keys(inverse.entity_data)) {
+      const actual = entity ? entity[attribute] : undefined;
+      if (normalize(actual) !== normalize(expected[attribute])) {
+        conflicts.push({
+          entity_type: inverse.entity_type,
+          entity_key: inverse.entity_key,
+          attribute,
+          expected: expected[attribute],
+          current: entity ? actual : null,
+        });
+      }
+    }
+  });
+
+  return conflicts;
+}
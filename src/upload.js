@@ -0,0 +1,310 @@
+/**
+ * File Upload
+ * Uploads local files into the ftrack server location: creates the
+ * FileComponent, asks ftrack where to put the bytes, sends them in one
+ * request or as parallel multipart parts, and registers the component in
+ * the server location
+ */
+
+import { createHash, randomUUID } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import { basename, extname } from 'node:path';
+import { FtrackApiError, FtrackNetworkError, FtrackNotFoundError, FtrackValidationError, httpError } from './errors.js';
+import { select, eq, isIn } from './query-builder.js';
+import { logger } from './logger.js';
+
+// Built-in location for files stored by the ftrack server itself
+export const SERVER_LOCATION_ID = '3a372bde-05bc-11e4-8908-20c9d081909b';
+
+export const DEFAULT_UPLOAD_CONCURRENCY = 4;
+
+// Component IDs per query when looking up which components are stored
+const LOCATION_QUERY_CHUNK_SIZE = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Size of a local file
+ * @throws {FtrackNotFoundError} - If the path does not exist
+ * @throws {FtrackValidationError} - If the path is not a regular file
+ */
+export async function fileSize(path) {
+  let info;
+  try {
+    info = await stat(path);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new FtrackNotFoundError(`File not found: ${path}`);
+    }
+    throw error;
+  }
+  if (!info.isFile()) {
+    throw new FtrackValidationError(`Not a file: ${path}`);
+  }
+  return info.size;
+}
+
+/**
+ * Base64 encoded MD5 checksum of a file, as ftrack expects it
+ */
+export async function md5Checksum(path) {
+  const hash = createHash('md5');
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('base64');
+}
+
+/**
+ * Component name and file type of a path, e.g. "plate" and ".exr"
+ */
+export function componentNaming(path) {
+  const fileType = extname(path);
+  return { name: basename(path, fileType), fileType };
+}
+
+/**
+ * Create the FileComponent a local file is uploaded into
+ * @param {FtrackClient} client
+ * @param {object} component - { name, fileType, size, containerId, versionId }
+ * @returns {Promise<string>} - ID of the new component
+ */
+export async function createFileComponent(client, { name, fileType, size, containerId = null, versionId = null }) {
+  const id = randomUUID();
+  const data = { id, name, file_type: fileType, size };
+  if (containerId) data.container_id = containerId;
+  if (versionId) data.version_id = versionId;
+  await client.create('FileComponent', data);
+  return id;
+}
+
+/**
+ * Whether a component is already stored in the server location
+ */
+export async function isInServerLocation(client, componentId) {
+  const { data } = await client.query(
+    select('id')
+      .from('ComponentLocation')
+      .where(eq('component_id', componentId), eq('location_id', SERVER_LOCATION_ID))
+      .toString()
+  );
+  return data.length > 0;
+}
+
+/**
+ * Which of the given components are already stored in the server location,
+ * with one query per chunk of IDs
+ * @returns {Promise<Set<string>>} - IDs of the stored components
+ */
+export async function componentsInServerLocation(client, componentIds) {
+  const stored = new Set();
+  for (let start = 0; start < componentIds.length; start += LOCATION_QUERY_CHUNK_SIZE) {
+    const chunk = componentIds.slice(start, start + LOCATION_QUERY_CHUNK_SIZE);
+    const { data } = await client.query(
+      select('component_id')
+        .from('ComponentLocation')
+        .where(isIn('component_id', chunk), eq('location_id', SERVER_LOCATION_ID))
+        .limit(chunk.length)
+        .toString()
+    );
+    for (const row of data) {
+      stored.add(row.component_id);
+    }
+  }
+  return stored;
+}
+
+/**
+ * Register an uploaded component in the server location
+ */
+export async function addToServerLocation(client, componentId) {
+  return client.create('ComponentLocation', {
+    id: randomUUID(),
+    component_id: componentId,
+    location_id: SERVER_LOCATION_ID,
+    resource_identifier: componentId,
+  });
+}
+
+/**
+ * PUT a byte range of a local file to a signed URL, streamed from disk,
+ * retrying network errors, 5xx and 429 with the client's backoff settings.
+ * A stream can only be sent once, so every attempt opens a new one.
+ * @param {FtrackClient} client
+ * @param {string} url - Signed URL
+ * @param {object} range - { path, start, length } of the bytes to send
+ * @param {object} headers - Headers the signed URL requires
+ * @returns {Promise<Response>}
+ */
+async function put(client, url, { path, start = 0, length }, headers = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let error;
+    // An empty range cannot be read as a stream (end would come before start)
+    const stream = length > 0 ? createReadStream(path, { start, end: start + length - 1 }) : null;
+    try {
+      const response = await fetch(url, {
+        method: 'PUT',
+        headers: { ...headers, 'content-length': String(length) },
+        body: stream ?? Buffer.alloc(0),
+        duplex: 'half',
+      });
+      if (response.ok) {
+        return response;
+      }
+      error = httpError(response.status, await response.text());
+    } catch (cause) {
+      error = new FtrackNetworkError(`Upload failed: ${cause.message}`, { cause });
+    } finally {
+      stream?.destroy();
+    }
+    const delay = error.retryable && attempt < client.maxRetries ? client.retryDelay(attempt) : null;
+    if (delay === null) {
+      throw error;
+    }
+    logger.warn(`Upload request failed (${error.message}), retrying in ${delay}ms (attempt ${attempt + 1}/${client.maxRetries})`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Upload the bytes of a local file into an existing component. ftrack
+ * decides between a single signed URL and multipart upload; parts are sent
+ * in parallel and each part is retried on its own. In dry-run mode the
+ * component was only previewed, so nothing is uploaded.
+ *
+ * ftrack has no action to abort or list the parts of a multipart upload:
+ * when a part fails, the upload is left incomplete for the storage to
+ * expire, and uploading again starts a new upload of the whole file.
+ * @param {FtrackClient} client
+ * @param {string} componentId - Component to upload into
+ * @param {string} path - Local file
+ * @param {object} options
+ * @param {number} options.size - File size in bytes
+ * @param {string} options.checksum - Base64 MD5 checksum
+ * @param {string} options.fileName - File name reported to ftrack
+ * @param {number} options.concurrency - Parts uploaded at once
+ * @param {Function} options.onProgress - Called with (bytesSent, size)
+ * @returns {Promise<object>} - { multipart, parts }, with dry_run in dry-run mode
+ */
+export async function uploadComponentData(client, componentId, path, {
+  size,
+  checksum,
+  fileName,
+  concurrency = DEFAULT_UPLOAD_CONCURRENCY,
+  onProgress = () => {},
+}) {
+  if (client.dryRun) {
+    return { dry_run: true, multipart: false, parts: 0 };
+  }
+  const metadata = await client.getUploadMetadata(componentId, size, fileName, checksum);
+  if (!metadata.urls) {
+    await put(client, metadata.url, { path, length: size }, metadata.headers);
+    onProgress(size, size);
+    return { multipart: false, parts: 1 };
+  }
+
+  const urls = [...metadata.urls].sort((a, b) => a.part_number - b.part_number);
+  const partSize = Math.ceil(size / urls.length);
+  const parts = [];
+  let sent = 0;
+  let next = 0;
+  let failed = false;
+  const worker = async () => {
+    while (next < urls.length && !failed) {
+      const index = next++;
+      const { part_number, signed_url } = urls[index];
+      try {
+        const length = Math.min(partSize, size - index * partSize);
+        const response = await put(client, signed_url, { path, start: index * partSize, length });
+        const etag = response.headers.get('etag');
+        if (!etag) {
+          throw new FtrackApiError(`Upload of part ${part_number} returned no ETag`);
+        }
+        parts.push({ part_number, e_tag: etag.replace(/"/g, '') });
+        sent += length;
+        onProgress(sent, size);
+      } catch (error) {
+        // Stop the other workers from starting more parts
+        failed = true;
+        throw error;
+      }
+    }
+  };
+  // Wait for every worker, then report the first failure
+  const outcomes = await Promise.allSettled(Array.from({ length: Math.max(1, Math.min(concurrency, urls.length)) }, worker));
+  const rejected = outcomes.find((outcome) => outcome.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+
+  parts.sort((a, b) => a.part_number - b.part_number);
+  await client.completeMultipartUpload(componentId, metadata.upload_id, parts);
+  return { multipart: true, parts: parts.length };
+}
+
+/**
+ * Upload a local file into the server location. Passing the componentId of
+ * an earlier, failed upload uploads the whole file into that component again
+ * instead of creating another one; parts sent by the failed attempt are not
+ * reused. A component already in the server location is left as it is.
+ * @param {FtrackClient} client
+ * @param {string} path - Local file
+ * @param {object} options
+ * @param {string} options.componentId - Existing component to upload into
+ * @param {string} options.name - Component name, defaults to the file name without extension
+ * @param {string} options.containerId - SequenceComponent the file is a member of
+ * @param {string} options.versionId - AssetVersion the component belongs to
+ * @param {number} options.concurrency - Parts uploaded at once
+ * @param {Function} options.onComponent - Called with the component ID once it exists
+ * @param {Function} options.onProgress - Called with (bytesSent, size)
+ * @returns {Promise<object>} - { component_id, name, file_type, size, checksum, multipart, parts, resumed }
+ */
+export async function uploadFile(client, path, {
+  componentId = null,
+  name = null,
+  containerId = null,
+  versionId = null,
+  concurrency,
+  onComponent = () => {},
+  onProgress,
+} = {}) {
+  const size = await fileSize(path);
+  const naming = componentNaming(path);
+  const componentName = name ?? naming.name;
+  const checksum = await md5Checksum(path);
+  const result = {
+    component_id: componentId,
+    name: componentName,
+    file_type: naming.fileType,
+    size,
+    checksum,
+    multipart: false,
+    parts: 0,
+    resumed: componentId !== null,
+  };
+
+  if (componentId && await isInServerLocation(client, componentId)) {
+    return { ...result, already_uploaded: true };
+  }
+  if (!componentId) {
+    result.component_id = await createFileComponent(client, {
+      name: componentName,
+      fileType: naming.fileType,
+      size,
+      containerId,
+      versionId,
+    });
+  }
+  onComponent(result.component_id);
+
+  const upload = await uploadComponentData(client, result.component_id, path, {
+    size,
+    checksum,
+    fileName: basename(path),
+    concurrency,
+    onProgress,
+  });
+  await addToServerLocation(client, result.component_id);
+  return { ...result, ...upload };
+}
@@ -0,0 +1,101 @@
+/**
+ * Task Workflows
+ * Works out which statuses a task may be set to from its project's
+ * ProjectSchema: the task workflow, or the override for the task's type
+ */
+
+import { FtrackNotFoundError, FtrackValidationError } from './errors.js';
+import { select, isIn } from './query-builder.js';
+import { linkPath } from './resolver.js';
+
+/**
+ * Path of an entity from its link attribute, or its name
+ */
+function displayName(entity) {
+  return entity.link ? linkPath(entity.link) : entity.name;
+}
+
+function statusList(workflow) {
+  return (workflow?.statuses ?? []).map(({ id, name }) => ({ id, name }));
+}
+
+/**
+ * Look up the statuses each task's workflow allows
+ * @param {FtrackClient} client
+ * @param {Array} taskIds - IDs of the tasks
+ * @returns {Promise<Map>} - Task ID to { task, type, schema, statuses: [{ id, name }] }
+ * @throws {FtrackNotFoundError} - If any of the tasks does not exist
+ */
+export async function allowedTaskStatuses(client, taskIds) {
+  const ids = [...new Set(taskIds)];
+  const { data: tasks } = await client.query(
+    select('id', 'name', 'link', 'type_id', 'type.name', 'project.project_schema_id')
+      .from('Task')
+      .where(isIn('id', ids))
+      .toString()
+  );
+  const missing = ids.filter((id) => !tasks.some((task) => task.id === id));
+  if (missing.length > 0) {
+    throw new FtrackNotFoundError(`Task not found: ${missing.join(', ')}`);
+  }
+
+  const schemaIds = [...new Set(tasks.map((task) => task.project.project_schema_id))];
+  const { data: schemas } = await client.query(
+    select(
+      'id',
+      'name',
+      '_task_workflow.statuses.id',
+      '_task_workflow.statuses.name',
+      '_overrides.type_id',
+      '_overrides.workflow_schema.statuses.id',
+      '_overrides.workflow_schema.statuses.name'
+    )
+      .from('ProjectSchema')
+      .where(isIn('id', schemaIds))
+      .toString()
+  );
+  const schemasById = new Map(schemas.map((schema) => [schema.id, schema]));
+
+  const allowed = new Map();
+  for (const task of tasks) {
+    const schema = schemasById.get(task.project.project_schema_id);
+    const override = schema?._overrides?.find((item) => item.type_id === task.type_id);
+    allowed.set(task.id, {
+      task,
+      type: task.type?.name ?? null,
+      schema: schema?.name ?? null,
+      statuses: statusList(override ? override.workflow_schema : schema?._task_workflow),
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Check that a status is part of the workflow of every task
+ * @param {FtrackClient} client
+ * @param {Array} taskIds - IDs of the tasks to change
+ * @param {string} statusId - ID of the new status
+ * @param {string} label - How the status is named in errors
+ * @throws {FtrackValidationError} - With one issue per task the status is
+ *   not allowed for, listing the statuses that are
+ */
+export async function assertTaskStatusAllowed(client, taskIds, statusId, label = statusId) {
+  const allowed = await allowedTaskStatuses(client, taskIds);
+  const issues = [];
+  for (const [taskId, { task, type, schema, statuses }] of allowed) {
+    if (!statuses.some((status) => status.id === statusId)) {
+      issues.push({
+        attribute: 'status_id',
+        task_id: taskId,
+        message: `Status "${label}" is not in the ${type ?? 'task'} workflow of "${displayName(task)}" (schema ${schema ?? 'unknown'}); allowed: ${statuses.map((status) => status.name).join(', ') || 'none'}`,
+        allowed_statuses: statuses,
+      });
+    }
+  }
+  if (issues.length > 0) {
+    throw new FtrackValidationError(
+      `Status "${label}" is not allowed for ${issues.length} of ${allowed.size} task(s)`,
+      { issues }
+    );
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Workspaces
+ * Named ftrack connections (for example production and sandbox sites),
+ * each with its own client and schema cache
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { FtrackClient } from './ftrack-client.js';
+import { SchemaCache } from './schema-cache.js';
+
+export const DEFAULT_WORKSPACES_PATH = join(homedir(), '.ftrack-mcp', 'workspaces.json');
+
+const DEFAULT_WORKSPACE_NAME = 'default';
+
+/**
+ * Build the client for one workspace definition
+ * { server, api_user, api_key } or { server, api_user, api_key_env }
+ */
+function createClient(name, definition, clientOptions) {
+  const apiKey = definition.api_key_env ? process.env[definition.api_key_env] : definition.api_key;
+  for (const [field, value] of [['server', definition.server], ['api_user', definition.api_user], ['api_key', apiKey]]) {
+    if (!value) {
+      const hint = field === 'api_key' && definition.api_key_env ? ` (${definition.api_key_env} is not set)` : '';
+      throw new Error(`Workspace "${name}" is missing ${field}${hint}`);
+    }
+  }
+  return new FtrackClient(definition.server, definition.api_user, apiKey, clientOptions);
+}
+
+export class WorkspaceRegistry {
+  /**
+   * @param {Array} workspaces - [{ name, client, description }]
+   * @param {string} defaultName - Workspace used when a tool call names none
+   * @param {object} options - { schemaCacheTtl } in seconds
+   */
+  constructor(workspaces, defaultName, { schemaCacheTtl = 0 } = {}) {
+    this.workspaces = new Map(workspaces.map(({ name, client, description = null }) => [
+      name,
+      { name, client, description, schemaCache: new SchemaCache(client, { ttlSeconds: schemaCacheTtl }) },
+    ]));
+    if (!this.workspaces.has(defaultName)) {
+      throw new Error(`Default workspace "${defaultName}" is not defined`);
+    }
+    this.defaultName = defaultName;
+  }
+
+  /**
+   * Build workspaces from the configuration: the workspaces setting of a
+   * config file, the JSON file in workspaces_file (or
+   * ~/.ftrack-mcp/workspaces.json if it exists), or else a single "default"
+   * workspace from the server, api_user and api_key settings.
+   *
+   * Workspace definitions:
+   *   { "default": "production",
+   *     "workspaces": { "production": { "server", "api_user", "api_key" | "api_key_env", "description" } } }
+   * In a config file the default is set with default_workspace.
+   * @param {object} config - Resolved configuration
+   * @param {object} clientOptions - Options for every FtrackClient
+   */
+  static fromConfig(config, clientOptions = {}) {
+    const options = { schemaCacheTtl: config.schema_cache_ttl_seconds };
+    let definitions = config.workspaces;
+    let defaultName = config.default_workspace;
+    let source = 'the config file';
+
+    if (!definitions) {
+      const path = config.workspaces_file || (existsSync(DEFAULT_WORKSPACES_PATH) ? DEFAULT_WORKSPACES_PATH : null);
+      if (!path) {
+        return new WorkspaceRegistry([{
+          name: DEFAULT_WORKSPACE_NAME,
+          client: new FtrackClient(config.server, config.api_user, config.api_key, clientOptions),
+        }], DEFAULT_WORKSPACE_NAME, options);
+      }
+      let file;
+      try {
+        file = JSON.parse(readFileSync(path, 'utf8'));
+      } catch (error) {
+        throw new Error(`Could not read workspaces from ${path}: ${error.message}`);
+      }
+      definitions = file.workspaces;
+      defaultName = file.default;
+      source = path;
+    }
+
+    const names = Object.keys(definitions || {});
+    if (names.length === 0) {
+      throw new Error(`No workspaces defined in ${source}`);
+    }
+    return new WorkspaceRegistry(
+      names.map((name) => ({
+        name,
+        client: createClient(name, definitions[name], clientOptions),
+        description: definitions[name].description,
+      })),
+      defaultName || names[0],
+      options
+    );
+  }
+
+  get names() {
+    return [...this.workspaces.keys()];
+  }
+
+  get default() {
+    return this.workspaces.get(this.defaultName);
+  }
+
+  /**
+   * Get a workspace by name, or the default one
+   * @throws {Error} - If there is no workspace with that name
+   */
+  get(name) {
+    const workspace = this.workspaces.get(name || this.defaultName);
+    if (!workspace) {
+      throw new Error(`Unknown workspace "${name}". Available workspaces: ${this.names.join(', ')}`);
+    }
+    return workspace;
+  }
+
+  /**
+   * Describe the workspaces without their credentials
+   */
+  list() {
+    return [...this.workspaces.values()].map(({ name, client, description }) => ({
+      name,
+      server: client.serverUrl,
+      api_user: client.apiUser,
+      description,
+      default: name === this.defaultName,
+    }));
+  }
+}
+
+export default WorkspaceRegistry;
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AuditLog, redact } from '../src/audit-log.js';
+import { FtrackClient } from '../src/ftrack-client.js';
+
+/**
+ * Audit log in a temporary directory, attached to a client whose
+ * requests are answered by respond(operation)
+ */
+async function auditedClient(t, respond) {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-audit-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const auditLog = new AuditLog({ path: join(dir, 'audit.jsonl') });
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { maxRetries: 0 });
+  t.mock.method(globalThis, 'fetch', async (url, { body }) => Response.json(JSON.parse(body).map(respond)));
+  auditLog.attach(client);
+  return { auditLog, client };
+}
+
+test('secret-looking keys are redacted at any depth', () => {
+  assert.deepEqual(redact({ name: 'bot', api_key: 'k', nested: [{ password: 'p', key: 'k', keyframe: 3 }] }), {
+    name: 'bot',
+    api_key: '[REDACTED]',
+    nested: [{ password: '[REDACTED]', key: '[REDACTED]', keyframe: 3 }],
+  });
+});
+
+test('mutating calls are logged with redacted arguments and their undo', async (t) => {
+  const { auditLog, client } = await auditedClient(t, (operation) => (operation.action === 'query'
+    ? { action: 'query', data: [{ name: 'comp' }] }
+    : { action: operation.action, data: { id: 't1', ...operation.entity_data } }));
+
+  await auditLog.record('ftrack_update', { entity_id: 't1', token: 'secret' }, { user: 'jane' }, () => client.update('Task', 't1', { name: 'paint' }));
+  // Calls that send nothing mutating are not logged
+  await auditLog.record('ftrack_update', {}, { user: 'jane' }, () => client.query('select id from Task'));
+
+  const [entry, ...rest] = await auditLog.query();
+  assert.deepEqual(rest, []);
+  assert.equal(entry.user, 'jane');
+  assert.equal(entry.tool, 'ftrack_update');
+  assert.deepEqual(entry.arguments, { entity_id: 't1', token: '[REDACTED]' });
+  assert.deepEqual(entry.result_ids, ['t1']);
+  assert.deepEqual(entry.undo, [{ action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { name: 'comp' } }]);
+  assert.deepEqual(await auditLog.get(entry.id), entry);
+  assert.deepEqual(await auditLog.query({ entityId: 'other' }), []);
+  assert.deepEqual(await auditLog.query({ user: 'joe' }), []);
+  assert.equal((await auditLog.query({ user: 'jane' })).length, 1);
+});
+
+test('failed calls are logged with their error', async (t) => {
+  const { auditLog, client } = await auditedClient(t, () => ({ exception: 'ValidationError', content: 'bad name' }));
+  // Tool handlers turn errors into error results
+  const result = await auditLog.record('ftrack_create', {}, { user: 'jane' }, async () => {
+    try {
+      return await client.create('Task', { name: '' });
+    } catch (error) {
+      return { isError: true, content: [{ type: 'text', text: JSON.stringify(error) }] };
+    }
+  });
+  assert.equal(result.isError, true);
+  const [entry] = await auditLog.query();
+  assert.equal(entry.error.category, 'validation');
+  assert.deepEqual(entry.undo, []);
+});
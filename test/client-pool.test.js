@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ClientPool } from '../src/client-pool.js';
+
+const createPool = (options) => new ClientPool({ create: ({ apiUser }) => ({ apiUser }), ...options });
+
+test('sessions with the same credentials share a client', () => {
+  const pool = createPool();
+  const first = pool.acquire({ apiUser: 'jane', apiKey: 'k1' });
+  assert.equal(pool.acquire({ apiUser: 'jane', apiKey: 'k1' }), first);
+  assert.notEqual(pool.acquire({ apiUser: 'jane', apiKey: 'k2' }), first);
+  assert.equal(pool.size, 2);
+});
+
+test('a full pool drops the least recently used idle client', () => {
+  const pool = createPool({ maxClients: 2 });
+  const jane = pool.acquire({ apiUser: 'jane', apiKey: 'k' });
+  pool.acquire({ apiUser: 'joe', apiKey: 'k' });
+  assert.throws(() => pool.acquire({ apiUser: 'ann', apiKey: 'k' }), /Too many concurrent ftrack users/);
+
+  pool.release(jane);
+  const ann = pool.acquire({ apiUser: 'ann', apiKey: 'k' });
+  assert.equal(pool.size, 2);
+  pool.release(ann);
+  assert.notEqual(pool.acquire({ apiUser: 'jane', apiKey: 'k' }), jane);
+});
+
+test('idle clients are dropped after the idle time', () => {
+  const pool = createPool({ idleSeconds: 0 });
+  pool.release(pool.acquire({ apiUser: 'jane', apiKey: 'k' }));
+  pool.prune();
+  assert.equal(pool.size, 0);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { tmpdir } from 'node:os';
+import { loadConfig } from '../src/config.js';
+
+const ENV = { FTRACK_SERVER: 'https://example.ftrackapp.com', FTRACK_API_USER: 'user', FTRACK_API_KEY: 'key' };
+
+/**
+ * Load the configuration from flags and the given environment only
+ */
+function load(argv, env = ENV) {
+  return loadConfig({ argv, env, cwd: tmpdir(), home: tmpdir() });
+}
+
+test('flags take values separately or after =, and --no- turns booleans off', () => {
+  const { config, sources, errors } = load(['--page-size', '50', '--api-user=bob', '--no-require-confirmation', '--validate-payloads']);
+  assert.deepEqual(errors, []);
+  assert.equal(config.page_size, 50);
+  assert.equal(config.api_user, 'bob');
+  assert.equal(config.require_confirmation, false);
+  assert.equal(config.validate_payloads, true);
+  assert.equal(sources.require_confirmation, '--no-require-confirmation');
+});
+
+test('flags override environment variables', () => {
+  const { config, sources } = load(['--api-user', 'flag-user'], { ...ENV, FTRACK_PAGE_SIZE: '20' });
+  assert.equal(config.api_user, 'flag-user');
+  assert.equal(config.page_size, 20);
+  assert.equal(sources.page_size, 'FTRACK_PAGE_SIZE');
+});
+
+test('a bad flag is reported without dropping the others', () => {
+  const { config, errors } = load(['--page-sze', '7', '--no-validate-payloads', '--require-confirmation=no', '--timeout-ms']);
+  assert.deepEqual(errors.map(({ message }) => message), [
+    'Unknown option "--page-sze". Did you mean "--page-size"?',
+    'Unexpected argument "7"',
+    'Option "--require-confirmation" does not take a value; use --require-confirmation or --no-require-confirmation',
+    'Option "--timeout-ms" needs a value',
+  ]);
+  assert.equal(config.validate_payloads, false);
+});
+
+test('-h, --help and --print-config are recognized', () => {
+  assert.equal(load(['-h']).help, true);
+  assert.equal(load(['--help']).help, true);
+  assert.equal(load(['--print-config']).printConfig, true);
+});
+
+test('invalid values are errors naming where they came from', () => {
+  const { errors } = load(['--page-size', 'many']);
+  assert.deepEqual(errors.map(({ message }) => message), ['page_size must be a whole number (got "many" from --page-size)']);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConfirmationManager, DELETE_CONFIRMATION_TOOLS, summarizeDeletes, summarizeTargets } from '../src/confirmation.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+test('tokens confirm the exact call they were issued for, once', () => {
+  const confirmations = new ConfirmationManager();
+  const { token } = confirmations.issue('ftrack_delete', { entity_type: 'Task', entity_id: 't1' });
+  assert.throws(() => confirmations.consume(token, 'ftrack_delete', { entity_type: 'Task', entity_id: 't2' }), /different call/);
+  // Argument order does not matter
+  confirmations.consume(token, 'ftrack_delete', { entity_id: 't1', entity_type: 'Task' });
+  assert.throws(() => confirmations.consume(token, 'ftrack_delete', { entity_type: 'Task', entity_id: 't1' }), /invalid or has expired/);
+});
+
+test('tokens can only be used by the caller they were issued to', () => {
+  const confirmations = new ConfirmationManager();
+  const jane = { apiUser: 'jane' };
+  const { token } = confirmations.issue('ftrack_delete', { entity_type: 'Task', entity_id: 't1' }, jane);
+  assert.match(token, /^[0-9a-f]{32}$/);
+  assert.throws(() => confirmations.consume(token, 'ftrack_delete', { entity_type: 'Task', entity_id: 't1' }, { apiUser: 'joe' }), /invalid or has expired/);
+  confirmations.consume(token, 'ftrack_delete', { entity_type: 'Task', entity_id: 't1' }, jane);
+});
+
+test('tokens expire', () => {
+  const confirmations = new ConfirmationManager({ ttlSeconds: 0 });
+  const { token } = confirmations.issue('ftrack_disable_2fa', { user_id: 'u1' });
+  assert.throws(() => confirmations.consume(token, 'ftrack_disable_2fa', { user_id: 'u1' }), /invalid or has expired/);
+});
+
+test('summaries show the entities a call would affect', async () => {
+  const client = fakeClient({
+    rows: {
+      'select id, username, first_name, last_name, email from User where id is "u1"': [{ id: 'u1', username: 'jane' }],
+      'Task where id is "t1"': [{ id: 't1', name: 'comp' }],
+    },
+  });
+  assert.deepEqual(await summarizeTargets(client, { user_id: 'u1', security_role_id: 'r1' }), [
+    { argument: 'user_id', entity_type: 'User', id: 'u1', entity: { id: 'u1', username: 'jane' } },
+    { argument: 'security_role_id', entity_type: 'SecurityRole', id: 'r1', entity: null },
+  ]);
+  assert.deepEqual(await summarizeDeletes(client, [{ action: 'delete', entity_type: 'Task', entity_key: ['t1'] }]), [
+    { argument: 'operations', entity_type: 'Task', entity_key: ['t1'], entity: { id: 't1', name: 'comp' } },
+  ]);
+});
+
+test('undo only asks to confirm deletes of the caller\'s own change sets', async () => {
+  const client = fakeClient();
+  const entry = { user: 'jane', workspace: null, undo: [{ action: 'delete', entity_type: 'Note', entity_key: ['n1'] }] };
+  const context = { auditLog: { get: async () => entry }, resolveWorkspace: () => ({ client }) };
+  const deletes = (apiUser) => DELETE_CONFIRMATION_TOOLS.ftrack_undo({ change_set_id: 'c1' }, { ...context, client: { ...client, apiUser } });
+  assert.deepEqual((await deletes('jane')).operations, entry.undo);
+  assert.deepEqual((await deletes('joe')).operations, []);
+});
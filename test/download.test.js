@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { mkdtemp, readdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FtrackAmbiguousError, FtrackNotFoundError } from '../src/errors.js';
+import { downloadComponent, latestComponent } from '../src/download.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+const md5 = (text) => createHash('md5').update(text).digest('base64');
+
+// Stored files by component ID
+const FILES = { c1: 'movie', f1001: 'frame1', f1002: 'frame2' };
+
+/**
+ * Client for a movie component c1 and a sequence component s1 with two
+ * frames; responses[id] lists the storage's answers for a file in turn
+ */
+function downloadClient(t, responses = {}) {
+  const attempts = {};
+  const signed = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    const id = url.split('/').pop();
+    attempts[id] = (attempts[id] ?? 0) + 1;
+    const answer = responses[id]?.[attempts[id] - 1] ?? 'ok';
+    if (answer === 'ok') {
+      return new Response(FILES[id], { headers: { 'content-md5': md5(FILES[id]) } });
+    }
+    if (answer === 'corrupt') {
+      return new Response(FILES[id].toUpperCase(), { headers: { 'content-md5': md5(FILES[id]) } });
+    }
+    return new Response('unavailable', { status: answer });
+  });
+  const client = fakeClient({
+    rows: (expression) => {
+      if (expression.includes('Component where id is "c1"')) return [{ __entity_type__: 'FileComponent', id: 'c1', name: 'main', file_type: '.mov', size: 5 }];
+      if (expression.includes('Component where id is "s1"')) return [{ __entity_type__: 'SequenceComponent', id: 's1', name: 'plate', file_type: '.exr', size: 12 }];
+      if (expression.includes('from SequenceComponent')) return [{ padding: 4 }];
+      if (expression.includes('container_id is "s1"')) {
+        return [{ id: 'f1001', name: '1001', file_type: '.exr', size: 6 }, { id: 'f1002', name: '1002', file_type: '.exr', size: 6 }];
+      }
+      return [];
+    },
+    maxRetries: 2,
+    timeout: 1000,
+    generateSignedUrl: async (componentId) => {
+      signed.push(componentId);
+      return { signed_url: `https://storage/${componentId}` };
+    },
+  });
+  return { client, attempts, signed };
+}
+
+async function destination(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-download-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('the latest version is picked and its component found by name', async () => {
+  const versions = [{ id: 'v3', version: 3, asset: { name: 'comp' }, components: [{ id: 'c1', name: 'main' }, { id: 'c2', name: 'review' }] }];
+  const client = fakeClient({ rows: () => versions });
+  assert.deepEqual(await latestComponent(client, 't1', { componentName: 'review' }), {
+    componentId: 'c2',
+    version: { id: 'v3', version: 3, asset: 'comp' },
+  });
+  await assert.rejects(latestComponent(client, 't1', { componentName: 'proxy' }), /has no component named "proxy"; it has: main, review/);
+  versions[0].components.push({ id: 'c3', name: 'main' });
+  await assert.rejects(latestComponent(client, 't1'), FtrackAmbiguousError);
+  await assert.rejects(latestComponent(fakeClient(), 't1'), FtrackNotFoundError);
+  assert.match(client.expressions[0], /order by version descending, date descending/);
+});
+
+test('files are downloaded and their checksum verified', async (t) => {
+  const dir = await destination(t);
+  const { client } = downloadClient(t);
+  const progress = [];
+  const result = await downloadComponent(client, 'c1', dir, { onProgress: (received, total) => progress.push([received, total]) });
+  assert.deepEqual(result.files, [{ path: join(dir, 'main.mov'), size: 5, checksum_verified: true }]);
+  assert.equal(await readFile(join(dir, 'main.mov'), 'utf8'), 'movie');
+  assert.deepEqual(progress.at(-1), [5, 5]);
+});
+
+test('sequence members are named by frame and existing files skipped', async (t) => {
+  const dir = await destination(t);
+  await writeFile(join(dir, 'plate.1001.exr'), 'frame1');
+  const { client, attempts } = downloadClient(t);
+  const result = await downloadComponent(client, 's1', dir);
+  assert.deepEqual(result.files.map(({ path, skipped }) => [path, skipped ?? false]), [
+    [join(dir, 'plate.1001.exr'), true],
+    [join(dir, 'plate.1002.exr'), false],
+  ]);
+  assert.deepEqual(attempts, { f1002: 1 });
+
+  await writeFile(join(dir, 'plate.1001.exr'), 'other size');
+  await assert.rejects(downloadComponent(client, 's1', dir), /already exists; pass overwrite/);
+});
+
+test('failed downloads are retried and bad data never replaces the file', async (t) => {
+  const dir = await destination(t);
+  const { client, attempts } = downloadClient(t, { c1: [503, 'ok'] });
+  await downloadComponent(client, 'c1', dir);
+  assert.equal(attempts.c1, 2);
+
+  // Expired URLs are refused by the storage and replaced
+  const expired = downloadClient(t, { c1: [403, 'ok'] });
+  await downloadComponent(expired.client, 'c1', dir, { overwrite: true });
+  assert.deepEqual(expired.signed, ['c1', 'c1']);
+
+  const corrupt = downloadClient(t, { c1: ['corrupt'] });
+  await assert.rejects(downloadComponent(corrupt.client, 'c1', dir, { overwrite: true }), /Checksum mismatch for main.mov/);
+  assert.equal(corrupt.attempts.c1, 1);
+  assert.deepEqual(await readdir(dir), ['main.mov']);
+  assert.equal(await readFile(join(dir, 'main.mov'), 'utf8'), 'movie');
+});
@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchCurrentValues, isMutatingOperation, previewOperations } from '../src/dry-run.js';
+import { FtrackClient } from '../src/ftrack-client.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+test('reads and download URLs are not mutating', () => {
+  for (const action of ['query', 'search', 'query_schemas']) {
+    assert.equal(isMutatingOperation({ action }), false, action);
+  }
+  for (const action of ['create', 'update', 'delete', 'encode_media', 'delayed_job', 'get_upload_metadata', 'complete_multipart_upload']) {
+    assert.equal(isMutatingOperation({ action }), true, action);
+  }
+  assert.equal(isMutatingOperation({ action: 'generate_signed_url', component_id: 'c1', operation: 'get' }), false);
+  assert.equal(isMutatingOperation({ action: 'generate_signed_url', component_id: 'c1', operation: 'put' }), true);
+});
+
+test('current values are read live for updates and deletes', async () => {
+  const client = fakeClient({
+    rows: {
+      'select status_id from Task where id is "t1"': [{ __entity_type__: 'Task', status_id: 's1' }],
+      'Note where id is "n1"': [{ __entity_type__: 'Note', id: 'n1', content: 'hi' }],
+    },
+  });
+  const current = await fetchCurrentValues(client, [
+    { action: 'create', entity_type: 'Note', entity_data: { content: 'new' } },
+    { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { status_id: 's2', __entity_type__: 'Task' } },
+    { action: 'delete', entity_type: 'Note', entity_key: ['n1'] },
+    { action: 'delete', entity_type: 'Note', entity_key: ['gone'] },
+  ]);
+  assert.deepEqual([...current.entries()], [
+    [1, { status_id: 's1' }],
+    [2, { id: 'n1', content: 'hi' }],
+    [3, null],
+  ]);
+  assert.equal(client.sent.length, 1);
+  assert.deepEqual(client.sent[0].options, { cache: false });
+});
+
+test('entities are looked up by their schema primary key', async () => {
+  const schemas = {
+    getSchema: async (entityType) => (entityType === 'CustomAttributeValue'
+      ? { primary_key: ['configuration_id', 'entity_id'] }
+      : { primary_key: ['id'] }),
+  };
+  const client = fakeClient({
+    rows: { 'select value from CustomAttributeValue where configuration_id is "c1" and entity_id is "e1"': [{ value: 3 }] },
+    schemas,
+  });
+  const current = await fetchCurrentValues(client, [
+    { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e1'], entity_data: { value: 4 } },
+    // A key without a value for every primary key attribute cannot be looked up
+    { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1'], entity_data: { value: 5 } },
+  ]);
+  assert.deepEqual([...current.entries()], [[0, { value: 3 }]]);
+});
+
+test('lookups fall back to the id when the schema cannot be read', async () => {
+  const schemas = { getSchema: async () => { throw new Error('schemas unavailable'); } };
+  const client = fakeClient({ rows: { 'select name from Shot where id is "sh1"': [{ name: 'sh0100' }] }, schemas });
+  const current = await fetchCurrentValues(client, [
+    { action: 'update', entity_type: 'Shot', entity_key: ['sh1'], entity_data: { name: 'sh0110' } },
+  ]);
+  assert.deepEqual(current.get(0), { name: 'sh0100' });
+});
+
+test('previews show proposed and current values', async () => {
+  const client = fakeClient({ rows: { 'select name from Shot where id is "sh1"': [{ name: 'sh0100' }] } });
+  const operations = [
+    { action: 'create', entity_type: 'Note', entity_data: { content: 'hi' } },
+    { action: 'update', entity_type: 'Shot', entity_key: ['sh1'], entity_data: { name: 'sh0110' } },
+    { action: 'delete', entity_type: 'Shot', entity_key: ['missing'] },
+    { action: 'encode_media', component_id: 'c1' },
+  ];
+  const previews = await previewOperations(client, operations);
+  assert.deepEqual(previews, [
+    { dry_run: true, action: 'create', entity_type: 'Note', proposed: { content: 'hi' }, operation: operations[0] },
+    {
+      dry_run: true,
+      action: 'update',
+      entity_type: 'Shot',
+      entity_key: ['sh1'],
+      current: { name: 'sh0100' },
+      proposed: { name: 'sh0110' },
+      operation: operations[1],
+    },
+    {
+      dry_run: true,
+      action: 'delete',
+      entity_type: 'Shot',
+      entity_key: ['missing'],
+      current: null,
+      warning: 'Shot missing was not found',
+      operation: operations[2],
+    },
+    { dry_run: true, action: 'encode_media', operation: operations[3] },
+  ]);
+});
+
+test('dry-run clients send reads but only preview changes', async (t) => {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { maxRetries: 0 }).withDryRun();
+  const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json([{ action: 'query', data: [] }]));
+  const [preview] = await client.call([{ action: 'create', entity_type: 'Note', entity_data: { content: 'hi' } }]);
+  assert.equal(preview.dry_run, true);
+  assert.equal(fetch.mock.callCount(), 0);
+
+  await client.call([{ action: 'query', expression: 'select id from Task' }]);
+  assert.equal(fetch.mock.callCount(), 1);
+});
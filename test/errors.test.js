@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  FtrackAuthenticationError,
+  FtrackNotFoundError,
+  FtrackPermissionError,
+  FtrackServerError,
+  FtrackValidationError,
+  httpError,
+  operationError,
+} from '../src/errors.js';
+import { FtrackClient } from '../src/ftrack-client.js';
+
+test('HTTP statuses map to error categories', () => {
+  assert.ok(httpError(401, 'no') instanceof FtrackAuthenticationError);
+  assert.ok(httpError(403, 'no') instanceof FtrackPermissionError);
+  assert.ok(httpError(404, 'no') instanceof FtrackNotFoundError);
+  assert.ok(httpError(422, 'no') instanceof FtrackValidationError);
+  const limited = httpError(429, 'slow down', 2000);
+  assert.ok(limited instanceof FtrackServerError);
+  assert.equal(limited.retryable, true);
+  assert.equal(limited.retryAfter, 2000);
+  assert.equal(httpError(400, 'no').retryable, false);
+});
+
+test('operation exceptions map to error categories', () => {
+  const category = (exception) => operationError({ exception, content: 'failed' }).category;
+  assert.equal(category('AuthenticationError'), 'authentication');
+  assert.equal(category('PermissionError'), 'permission');
+  assert.equal(category('NoResultFoundError'), 'not_found');
+  assert.equal(category('ValidationError'), 'validation');
+  assert.equal(category('ParseError'), 'validation');
+  assert.equal(category('ServerError'), 'server');
+  assert.equal(category('KeyError'), 'server');
+  assert.equal(category('AuthorNotSetError'), 'server');
+});
+
+test('constraint failures reported as server errors are validation errors', () => {
+  const category = (content) => operationError({ exception: 'ServerError', content }).category;
+  assert.equal(category('duplicate key value violates unique constraint "task_pkey"'), 'validation');
+  assert.equal(category('insert or update on table "task" violates foreign key constraint'), 'validation');
+  assert.equal(category('Missing key in cache'), 'server');
+  // Authentication failures are not validation errors whatever their message
+  assert.equal(operationError({ exception: 'AuthenticationError', content: 'Invalid API key' }).category, 'authentication');
+});
+
+test('a failed batch operation reports its index and the results', async (t) => {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { maxRetries: 0 });
+  const results = [{ action: 'create', data: { id: 'n1' } }, { exception: 'ValidationError', content: 'name is required' }];
+  t.mock.method(globalThis, 'fetch', async () => Response.json(results));
+  const operations = [
+    { action: 'create', entity_type: 'Note', entity_data: { content: 'hi' } },
+    { action: 'create', entity_type: 'Task', entity_data: {} },
+  ];
+
+  await assert.rejects(client.call(operations), (error) => {
+    assert.ok(error instanceof FtrackValidationError);
+    assert.deepEqual(error.toJSON(), {
+      error: 'FtrackValidationError',
+      category: 'validation',
+      message: 'Operation 1 failed: name is required',
+      retryable: false,
+      exception: 'ValidationError',
+      operation_index: 1,
+      operation: operations[1],
+      results,
+    });
+    return true;
+  });
+});
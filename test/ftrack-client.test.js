@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackServerError } from '../src/errors.js';
+import { FtrackClient } from '../src/ftrack-client.js';
+
+/**
+ * Client retrying quickly, with fetch answering from the given responses
+ * in turn (a function is called with the parsed request body)
+ */
+function retryingClient(t, responses, options = {}) {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', {
+    maxRetries: 2,
+    retryBaseDelay: 1,
+    retryMaxDelay: 50,
+    ...options,
+  });
+  const fetch = t.mock.method(globalThis, 'fetch', async (url, { body }) => {
+    const response = responses[Math.min(fetch.mock.callCount(), responses.length - 1)];
+    return typeof response === 'function' ? response(JSON.parse(body)) : response;
+  });
+  return { client, fetch };
+}
+
+const failure = (status, headers = {}) => new Response('unavailable', { status, headers });
+const success = (operations) => Response.json(operations.map(({ action }) => ({ action, data: [] })));
+
+test('backoff grows with each attempt and is capped', () => {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { retryBaseDelay: 100, retryMaxDelay: 300 });
+  for (let i = 0; i < 20; i++) {
+    const first = client.retryDelay(0);
+    const third = client.retryDelay(2);
+    assert.ok(first >= 50 && first <= 100, String(first));
+    assert.ok(third >= 150 && third <= 300, String(third));
+  }
+  // Retry-After wins unless it asks for a longer wait than allowed
+  assert.equal(client.retryDelay(0, 200), 200);
+  assert.equal(client.retryDelay(0, 5000), null);
+});
+
+test('reads are retried after server errors', async (t) => {
+  const { client, fetch } = retryingClient(t, [failure(503), failure(502), success]);
+  const [result] = await client.call([{ action: 'query', expression: 'select id from Task' }]);
+  assert.deepEqual(result, { action: 'query', data: [] });
+  assert.equal(fetch.mock.callCount(), 3);
+});
+
+test('updates are not retried when the server may have applied them', async (t) => {
+  const { client, fetch } = retryingClient(t, [failure(503), success]);
+  await assert.rejects(
+    client.call([{ action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { name: 'comp' } }]),
+    FtrackServerError
+  );
+  assert.equal(fetch.mock.callCount(), 1);
+});
+
+test('creates with their own ID and rate-limited requests are retried', async (t) => {
+  const create = { action: 'create', entity_type: 'Note', entity_data: { id: 'n1', content: 'hi' } };
+  const { client, fetch } = retryingClient(t, [failure(503), success]);
+  await client.call([create]);
+  assert.equal(fetch.mock.callCount(), 2);
+
+  const update = { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { name: 'comp' } };
+  const limited = retryingClient(t, [failure(429, { 'Retry-After': '0' }), success]);
+  await limited.client.call([update]);
+  assert.equal(limited.fetch.mock.callCount(), 2);
+});
+
+test('client errors are not retried', async (t) => {
+  const { client, fetch } = retryingClient(t, [failure(400), success]);
+  await assert.rejects(client.call([{ action: 'query', expression: 'select id from Task' }]), { status: 400 });
+  assert.equal(fetch.mock.callCount(), 1);
+});
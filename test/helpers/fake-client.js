@@ -0,0 +1,69 @@
+/**
+ * Fake ftrack client for tests
+ * Answers queries from canned rows and records what it was sent, so
+ * modules taking a client can be tested without an ftrack server
+ */
+
+/**
+ * Create a fake client. Options other than those below are added to
+ * the client as they are, e.g. a generateSignedUrl method.
+ * @param {object} options
+ * @param {object|Function} options.rows - Rows per query expression, or a
+ *   function of the expression returning them
+ * @param {Function} options.respond - Result for a non-query operation;
+ *   by default its entity_data is echoed back
+ * @param {object} options.schemas - Schema cache exposed as client.schemas
+ * @returns {object} - Client recording call() batches in sent and
+ *   query()/queryAll() expressions in expressions
+ */
+export function fakeClient({ rows = {}, respond = null, schemas = null, ...methods } = {}) {
+  const lookup = typeof rows === 'function' ? rows : (expression) => rows[expression] ?? [];
+  const answer = async (operation) => {
+    if (operation.action === 'query') {
+      return { action: 'query', data: structuredClone(await lookup(operation.expression)) };
+    }
+    return respond ? respond(operation) : { action: operation.action, data: { ...operation.entity_data } };
+  };
+
+  const client = {
+    apiUser: 'test-user',
+    serverUrl: 'https://test.ftrackapp.com',
+    dryRun: false,
+    maxRetries: 0,
+    schemas,
+    sent: [],
+    expressions: [],
+    retryDelay: () => 0,
+    async call(operations, options) {
+      if (!Array.isArray(operations)) {
+        operations = [operations];
+      }
+      client.sent.push({ operations, options });
+      const results = [];
+      for (const operation of operations) {
+        results.push(await answer(operation));
+      }
+      return results;
+    },
+    async query(expression) {
+      client.expressions.push(expression);
+      return answer({ action: 'query', expression });
+    },
+    async batch(operations) {
+      return client.call(operations);
+    },
+    async queryAll(expression) {
+      return client.query(expression);
+    },
+    async create(entityType, data) {
+      const [result] = await client.call([{ action: 'create', entity_type: entityType, entity_data: data }]);
+      return result;
+    },
+    async delete(entityType, entityId) {
+      const [result] = await client.call([{ action: 'delete', entity_type: entityType, entity_key: [entityId] }]);
+      return result;
+    },
+    ...methods,
+  };
+  return client;
+}
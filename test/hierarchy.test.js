@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackNotFoundError } from '../src/errors.js';
+import { buildHierarchy, describeContext } from '../src/hierarchy.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+// Contexts below the project, by parent ID
+const CHILDREN = {
+  proj: [{ id: 'sq01', name: 'sq01', object_type: { name: 'Sequence' } }],
+  sq01: [
+    { id: 'sh0100', name: 'sh0100', object_type: { name: 'Shot' }, status: { name: 'In Progress' } },
+    { id: 'sh0200', name: 'sh0200', object_type: { name: 'Shot' } },
+  ],
+  sh0100: [{ id: 'comp', name: 'comp', object_type: { name: 'Task' }, type: { name: 'Compositing' }, assignments: [{ resource: { username: 'jane' } }] }],
+};
+
+/**
+ * Client serving the project and the contexts below it
+ */
+function hierarchyClient() {
+  return fakeClient({
+    rows: (expression) => {
+      if (expression.includes('from Context')) {
+        return expression.includes('"proj"')
+          ? [{ __entity_type__: 'Project', id: 'proj', name: 'proj', link: [{ id: 'proj', name: 'My Project', type: 'Project' }] }]
+          : [];
+      }
+      const parentIds = [...expression.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+      return parentIds.flatMap((parentId) => (CHILDREN[parentId] ?? []).map((child) => ({ ...child, parent_id: parentId })));
+    },
+  });
+}
+
+test('contexts are described by their path', async () => {
+  const client = hierarchyClient();
+  assert.deepEqual(await describeContext(client, 'proj'), {
+    id: 'proj',
+    name: 'proj',
+    entity_type: 'Project',
+    object_type: null,
+    path: 'My Project',
+    link: [{ id: 'proj', name: 'My Project', type: 'Project' }],
+  });
+  await assert.rejects(describeContext(client, 'missing'), FtrackNotFoundError);
+});
+
+test('the tree is read one level per request down to the depth', async () => {
+  const client = hierarchyClient();
+  const { root, node_count, truncated } = await buildHierarchy(client, 'proj', { depth: 2 });
+  assert.equal(node_count, 4);
+  assert.equal(truncated, false);
+  const [sequence] = root.children;
+  assert.deepEqual(sequence.children.map(({ name, status }) => [name, status]), [['sh0100', 'In Progress'], ['sh0200', null]]);
+  // Nodes at the depth limit have no children property
+  assert.equal(sequence.children[0].children, undefined);
+  assert.equal(client.expressions.filter((expression) => expression.includes('parent_id in')).length, 2);
+
+  const full = await buildHierarchy(client, 'proj');
+  assert.deepEqual(full.root.children[0].children[0].children[0].assignees, ['jane']);
+});
+
+test('the tree stops at the node limit', async () => {
+  const { node_count, truncated } = await buildHierarchy(hierarchyClient(), 'proj', { maxNodes: 3 });
+  assert.equal(node_count, 3);
+  assert.equal(truncated, true);
+});
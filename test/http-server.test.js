@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { HttpTransportServer } from '../src/http-server.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } },
+};
+
+/**
+ * Start a server on a free port whose sessions expose a whoami tool;
+ * createSession may be replaced to fail
+ */
+async function startServer(t, createSession = null) {
+  const closed = [];
+  const httpServer = new HttpTransportServer({
+    port: 0,
+    createSession: createSession ?? (async (req) => {
+      const user = req.headers['x-ftrack-api-user'] ?? 'service';
+      const server = new McpServer({ name: 'test', version: '1.0.0' });
+      server.tool('whoami', 'Name the session user', async () => ({ content: [{ type: 'text', text: user }] }));
+      return { server, close: () => closed.push(user) };
+    }),
+  });
+  await httpServer.listen();
+  t.after(() => httpServer.close());
+  return { httpServer, closed, url: `http://127.0.0.1:${httpServer.httpServer.address().port}` };
+}
+
+const post = (url, body, headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify(body),
+});
+
+test('each Streamable HTTP session gets its own server', async (t) => {
+  const { httpServer, closed, url } = await startServer(t);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(new StreamableHTTPClientTransport(new URL(`${url}/mcp`), {
+    requestInit: { headers: { 'x-ftrack-api-user': 'jane' } },
+  }));
+
+  const result = await client.callTool({ name: 'whoami', arguments: {} });
+  assert.deepEqual(result.content, [{ type: 'text', text: 'jane' }]);
+  assert.deepEqual(await (await fetch(`${url}/health`)).json(), { status: 'ok', sessions: 1 });
+
+  await client.close();
+  await httpServer.close();
+  assert.deepEqual(closed, ['jane']);
+});
+
+test('requests outside a session are rejected', async (t) => {
+  const { url } = await startServer(t);
+  assert.equal((await post(`${url}/mcp`, { jsonrpc: '2.0', id: 1, method: 'tools/list' })).status, 400);
+  assert.equal((await post(`${url}/mcp`, INITIALIZE, { 'mcp-session-id': 'unknown' })).status, 404);
+  assert.equal((await post(`${url}/messages?sessionId=unknown`, {})).status, 404);
+  assert.equal((await fetch(`${url}/other`)).status, 404);
+});
+
+test('session errors with a status are returned to the client', async (t) => {
+  const { url } = await startServer(t, async () => {
+    throw Object.assign(new Error('Missing ftrack credentials'), { status: 401 });
+  });
+  const response = await post(`${url}/mcp`, INITIALIZE);
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).error.message, 'Missing ftrack credentials');
+});
+
+test('sessions that fail to start are closed', async (t) => {
+  const closed = [];
+  const { httpServer, url } = await startServer(t, async () => ({
+    server: { connect: async () => { throw new Error('connect failed'); } },
+    close: () => closed.push('session'),
+  }));
+  assert.equal((await post(`${url}/mcp`, INITIALIZE)).status, 500);
+  assert.equal((await fetch(`${url}/sse`)).status, 500);
+  assert.deepEqual(closed, ['session', 'session']);
+  assert.equal(httpServer.sessions.size, 0);
+});
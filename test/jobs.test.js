@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackNotFoundError, FtrackValidationError } from '../src/errors.js';
+import { getJob, jobIdOf, waitForJob } from '../src/jobs.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+/**
+ * Client reporting the given job statuses in turn, repeating the last one
+ */
+function jobClient(statuses) {
+  let polls = 0;
+  return fakeClient({
+    rows: () => [{
+      id: 'j1',
+      status: statuses[Math.min(polls++, statuses.length - 1)],
+      data: '{"description": "Encoding"}',
+      job_components: [{ component_id: 'c1', component: { name: 'ftrackreview-mp4', file_type: '.mp4' } }],
+    }],
+  });
+}
+
+test('job IDs are found in encoding and delayed job responses', () => {
+  assert.equal(jobIdOf({ job_id: 'j1' }), 'j1');
+  assert.equal(jobIdOf({ data: { id: 'j2' } }), 'j2');
+  assert.equal(jobIdOf({ id: 'j3' }), 'j3');
+  assert.equal(jobIdOf({}), null);
+});
+
+test('jobs are read live with their data and attachments', async () => {
+  const client = jobClient(['running']);
+  assert.deepEqual(await getJob(client, 'j1'), {
+    id: 'j1',
+    status: 'running',
+    created_at: null,
+    data: { description: 'Encoding' },
+    attachments: [{ component_id: 'c1', name: 'ftrackreview-mp4', file_type: '.mp4' }],
+  });
+  assert.deepEqual(client.sent[0].options, { cache: false });
+  await assert.rejects(getJob(fakeClient(), 'j1'), FtrackNotFoundError);
+});
+
+test('waiting polls until the job is final', async () => {
+  const progress = [];
+  const job = await waitForJob(jobClient(['running', 'done']), 'j1', {
+    intervalSeconds: 0,
+    onProgress: (elapsed, timeout, message) => progress.push(message),
+  });
+  assert.equal(job.status, 'done');
+  assert.equal(job.finished, true);
+  assert.equal(job.timed_out, false);
+  assert.deepEqual(progress, ['Job running: Encoding']);
+});
+
+test('a job still running at the timeout or abort is returned, not thrown', async () => {
+  const timedOut = await waitForJob(jobClient(['running']), 'j1', { timeoutSeconds: 0 });
+  assert.equal(timedOut.timed_out, true);
+  assert.equal(timedOut.finished, false);
+
+  const controller = new AbortController();
+  controller.abort();
+  assert.equal((await waitForJob(jobClient(['queued']), 'j1', { signal: controller.signal })).timed_out, true);
+  await assert.rejects(waitForJob(jobClient(['done']), null), FtrackValidationError);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, symlink, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FtrackPermissionError } from '../src/errors.js';
+import { LocalPaths } from '../src/local-paths.js';
+
+test('paths must be inside a configured root', async (t) => {
+  const base = await mkdtemp(join(tmpdir(), 'ftrack-mcp-paths-'));
+  t.after(() => rm(base, { recursive: true, force: true }));
+  const root = join(base, 'shots');
+  await mkdir(join(root, 'sh0100'), { recursive: true });
+  await writeFile(join(base, 'secret.txt'), 'x');
+  await symlink(base, join(root, 'escape'));
+
+  const paths = new LocalPaths({ roots: [root] });
+  assert.equal(await paths.check(join(root, 'sh0100', 'plate.exr')), join(root, 'sh0100', 'plate.exr'));
+  // Directories that do not exist yet, e.g. a download destination
+  assert.equal(await paths.check(join(root, 'new', 'dir')), join(root, 'new', 'dir'));
+  await assert.rejects(paths.check(join(base, 'secret.txt')), FtrackPermissionError);
+  await assert.rejects(paths.check(join(root, '..', 'secret.txt')), FtrackPermissionError);
+  await assert.rejects(paths.check(`${root}-other/file`), FtrackPermissionError);
+  // Symlinks are resolved before the check
+  await assert.rejects(paths.check(join(root, 'escape', 'secret.txt')), FtrackPermissionError);
+});
+
+test('file tools are disabled over HTTP unless roots are configured', () => {
+  assert.equal(LocalPaths.fromConfig({ transport: 'stdio' }).enabled, true);
+  assert.equal(LocalPaths.fromConfig({ transport: 'http' }).enabled, false);
+  assert.equal(LocalPaths.fromConfig({ transport: 'http', local_roots: [tmpdir()] }).enabled, true);
+});
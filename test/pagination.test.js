@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackClient } from '../src/ftrack-client.js';
+import { decodeCursor, encodeCursor, formatPage, splitPaging } from '../src/pagination.js';
+
+test('trailing offset and limit clauses are split from the expression', () => {
+  assert.deepEqual(splitPaging('select id from Task limit 10 offset 20'), { base: 'select id from Task', offset: 20, limit: 10 });
+  assert.deepEqual(splitPaging('select id from Task where name like "%limit 5%"'), {
+    base: 'select id from Task where name like "%limit 5%"',
+    offset: null,
+    limit: null,
+  });
+});
+
+test('cursors round-trip and reject anything else', () => {
+  assert.equal(decodeCursor(encodeCursor(1500)), 1500);
+  assert.throws(() => decodeCursor('not a cursor'), /Invalid cursor/);
+  assert.throws(() => decodeCursor(Buffer.from('{"offset":-1}').toString('base64url')), /Invalid cursor/);
+});
+
+test('pages carry a cursor only when more rows remain', () => {
+  const page = formatPage({ action: 'query', data: [{ id: 'a' }], metadata: { next: { offset: 1 } } });
+  assert.deepEqual(page.metadata, { count: 1, next_cursor: encodeCursor(1) });
+  assert.equal(formatPage({ action: 'query', data: [], metadata: { next: { offset: null } } }).metadata.next_cursor, null);
+});
+
+test('queryAll follows next offsets up to the row limit', async (t) => {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { pageSize: 2, maxRows: 5 });
+  const rows = Array.from({ length: 7 }, (_, i) => ({ id: `t${i}` }));
+  const query = t.mock.method(client, 'query', async (expression) => {
+    const [, offset, limit] = /offset (\d+) limit (\d+)$/.exec(expression).map(Number);
+    const end = Math.min(rows.length, offset + limit);
+    return { data: rows.slice(offset, end), metadata: { next: { offset: end < rows.length ? end : null } } };
+  });
+
+  const result = await client.queryAll('select id from Task');
+  assert.deepEqual(result.data.map(({ id }) => id), ['t0', 't1', 't2', 't3', 't4']);
+  assert.equal(result.metadata.next.offset, 5);
+  assert.deepEqual(query.mock.calls.map((call) => call.arguments[0]), [
+    'select id from Task offset 0 limit 2',
+    'select id from Task offset 2 limit 2',
+    'select id from Task offset 4 limit 1',
+  ]);
+
+  const rest = await client.queryAll('select id from Task offset 5');
+  assert.deepEqual(rest.data.map(({ id }) => id), ['t5', 't6']);
+  assert.equal(rest.metadata.next.offset, null);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { executePublish, planPublish } from '../src/publish.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+/**
+ * Client for a task sh0100/comp without existing assets, whose uploads
+ * get the given HTTP status
+ */
+function publishClient(t, status = 200) {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null, { status }));
+  return fakeClient({
+    rows: (expression) => {
+      if (expression.includes('from Task')) return [{ id: 'task', name: 'comp', parent_id: 'shot' }];
+      if (expression.includes('from AssetType')) return [{ id: 'at1', name: 'Upload', short: 'upload' }];
+      if (expression.includes('from AssetVersion')) return [{ version: 3 }];
+      return [];
+    },
+    getUploadMetadata: async () => ({ url: 'https://storage/single', headers: {} }),
+  });
+}
+
+/**
+ * Write a movie and three frames of a sequence to a temporary directory
+ */
+async function localFiles(t) {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-publish-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  await writeFile(join(dir, 'review.mov'), 'movie');
+  for (const frame of [1001, 1002, 1003]) {
+    await writeFile(join(dir, `plate.${frame}.exr`), 'frame');
+  }
+  return [{ path: join(dir, 'review.mov') }, { path: join(dir, 'plate.%04d.exr') }];
+}
+
+const created = (operations) => operations.map(({ entity_type, entity_data }) => [entity_type, entity_data.name]);
+
+test('publishes create the asset, version and components in one batch', async (t) => {
+  const client = publishClient(t);
+  const plan = await planPublish(client, { taskId: 'task', assetName: 'comp', assetType: 'upload', files: await localFiles(t) });
+  assert.deepEqual(created(plan.operations), [
+    ['Asset', 'comp'],
+    ['AssetVersion', undefined],
+    ['FileComponent', 'review'],
+    ['SequenceComponent', 'plate'],
+    ['FileComponent', '1001'],
+    ['FileComponent', '1002'],
+    ['FileComponent', '1003'],
+  ]);
+
+  const result = await executePublish(client, plan);
+  assert.equal(result.version, 3);
+  assert.equal(result.asset_created, true);
+  assert.deepEqual(result.components.map(({ name, frame_count }) => [name, frame_count]), [['review', undefined], ['plate', 3]]);
+  assert.deepEqual(client.sent[0].operations, plan.operations);
+});
+
+test('a failed upload removes what the publish created', async (t) => {
+  const client = publishClient(t, 403);
+  const plan = await planPublish(client, { taskId: 'task', assetName: 'comp', assetType: 'Upload', files: await localFiles(t) });
+
+  await assert.rejects(executePublish(client, plan), /the new version was removed again/);
+  const deleted = client.sent.at(-1).operations.map(({ action, entity_type, entity_key }) => [action, entity_type, entity_key[0]]);
+  const [review, plate] = plan.components;
+  assert.deepEqual(deleted, [
+    ['delete', 'FileComponent', review.id],
+    ...plate.members.map((member) => ['delete', 'FileComponent', member.id]),
+    ['delete', 'SequenceComponent', plate.id],
+    ['delete', 'AssetVersion', plan.version.id],
+    ['delete', 'Asset', plan.asset.id],
+  ]);
+});
+
+test('unknown asset types and duplicate component names are rejected', async (t) => {
+  const client = publishClient(t);
+  const files = await localFiles(t);
+  await assert.rejects(planPublish(client, { taskId: 'task', assetName: 'comp', assetType: 'uplaod', files }), /did you mean "Upload"/);
+  await assert.rejects(
+    planPublish(client, { taskId: 'task', assetName: 'comp', assetType: 'upload', files: [files[0], { ...files[1], name: 'review' }] }),
+    /Component name "review" is used twice/
+  );
+});
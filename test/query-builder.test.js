@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { and, buildFilter, eq, has, isIn, like, literal, not, or, select } from '../src/query-builder.js';
+
+test('literal escapes quotes and backslashes', () => {
+  assert.equal(literal('say "hi" \\ bye'), '"say \\"hi\\" \\\\ bye"');
+  assert.equal(literal(null), 'none');
+  assert.equal(literal(false), 'false');
+  assert.equal(literal(42), '42');
+  assert.equal(literal(new Date('2024-01-02T03:04:05Z')), '"2024-01-02T03:04:05.000Z"');
+  assert.throws(() => literal(Infinity), /Invalid numeric literal/);
+  assert.throws(() => literal({}), /Unsupported literal/);
+});
+
+test('select builds a full expression', () => {
+  const expression = select('id', 'name', 'status.name')
+    .from('Task')
+    .where(eq('project.name', 'proj'), isIn('type.name', ['Comp', 'Lighting']))
+    .orderBy('name', 'descending')
+    .offset(10)
+    .limit(5)
+    .toString();
+  assert.equal(
+    expression,
+    'select id, name, status.name from Task where project.name is "proj" and type.name in ("Comp", "Lighting") order by name descending offset 10 limit 5'
+  );
+});
+
+test('select without attributes uses the entity type alone', () => {
+  assert.equal(select().from('Project').toString(), 'Project');
+});
+
+test('identifiers that could inject query text are rejected', () => {
+  assert.throws(() => select('id').from('Task where 1'), /Invalid entity type/);
+  assert.throws(() => select('id, name from User'), /Invalid attribute/);
+  assert.throws(() => eq('name) or (id', 'x'), /Invalid attribute/);
+  assert.throws(() => select('id').from('Task').limit(-1), /Invalid limit/);
+});
+
+test('where only accepts conditions built by the helpers', () => {
+  assert.throws(() => select('id').from('Task').where('name is "x"'), /query builder helpers/);
+  assert.throws(() => select('id').toString(), /no entity type/);
+});
+
+test('conditions combine with and, or, not and relations', () => {
+  const condition = or(and(eq('a', 1), like('b', '%x%')), not(has('status', eq('name', 'Done'))));
+  assert.equal(condition.toString(), '((a is 1 and b like "%x%") or not (status has (name is "Done")))');
+});
+
+test('buildFilter converts JSON filters', () => {
+  const condition = buildFilter({
+    and: [
+      { attribute: 'name', value: 'sh0100' },
+      { attribute: 'id', operator: 'not_in', value: ['a', 'b'] },
+      { any: { relation: 'assignments', filter: { attribute: 'resource_id', value: 'u1' } } },
+    ],
+  });
+  assert.equal(condition.toString(), '(name is "sh0100" and id not_in ("a", "b") and assignments any (resource_id is "u1"))');
+  assert.throws(() => buildFilter({ attribute: 'name', operator: 'matches', value: 'x' }), /Unknown operator/);
+  assert.throws(() => buildFilter({ attribute: 'id', operator: 'in', value: [] }), /non-empty array/);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackAmbiguousError, FtrackNotFoundError } from '../src/errors.js';
+import { resolveContext, resolveProject, resolveStatus } from '../src/resolver.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+const ID = '5671dcb0-66de-11e1-8e6e-f23c91df25eb';
+const link = (...names) => names.map((name) => ({ id: name, name, type: 'TypedContext' }));
+
+test('IDs are returned without a lookup', async () => {
+  const client = fakeClient();
+  assert.equal(await resolveContext(client, ID), ID);
+  assert.deepEqual(client.expressions, []);
+});
+
+test('statuses resolve case-insensitively and suggest close names', async () => {
+  const client = fakeClient({ rows: () => [{ id: 's1', name: 'In Progress' }, { id: 's2', name: 'Approved' }] });
+  assert.equal(await resolveStatus(client, 'in progress'), 's1');
+  await assert.rejects(resolveStatus(client, 'Aproved'), (error) => {
+    assert.ok(error instanceof FtrackNotFoundError);
+    assert.match(error.message, /did you mean "Approved"/);
+    return true;
+  });
+});
+
+test('a project short name wins over a matching full name', async () => {
+  const client = fakeClient({ rows: () => [{ id: 'p1', name: 'proj', full_name: 'Project' }, { id: 'p2', name: 'other', full_name: 'proj' }] });
+  assert.equal(await resolveProject(client, 'proj'), 'p1');
+});
+
+test('context paths match below the project, whose link holds its full name', async () => {
+  const client = fakeClient({
+    rows: () => [
+      { id: 't1', name: 'comp', link: link('My Project', 'seq010', 'sh0100', 'comp') },
+      { id: 't2', name: 'comp', link: link('My Project', 'extra', 'seq010', 'sh0100', 'comp') },
+    ],
+  });
+  assert.equal(await resolveContext(client, 'proj/seq010/sh0100/comp', { entityType: 'Task' }), 't1');
+  assert.equal(
+    client.expressions[0],
+    'select id, name, link from Task where name is "comp" and project.name is "proj" and parent.name is "sh0100" and parent.parent.name is "seq010"'
+  );
+});
+
+test('several contexts on the same path are ambiguous', async () => {
+  const client = fakeClient({
+    rows: () => [
+      { id: 't1', name: 'comp', link: link('Project', 'sh0100', 'comp') },
+      { id: 't2', name: 'comp', link: link('Project', 'sh0100', 'comp') },
+    ],
+  });
+  await assert.rejects(resolveContext(client, 'proj/sh0100/comp'), (error) => {
+    assert.ok(error instanceof FtrackAmbiguousError);
+    assert.deepEqual(error.candidates.map(({ id }) => id), ['t1', 't2']);
+    return true;
+  });
+});
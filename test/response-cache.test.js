@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { FtrackClient } from '../src/ftrack-client.js';
+import { ResponseCache } from '../src/response-cache.js';
+
+const STATUSES = { action: 'query', expression: 'select id, name from Status' };
+
+test('only reference data lookups and schemas are cached', () => {
+  const cache = new ResponseCache();
+  assert.equal(cache.isCacheable(STATUSES), true);
+  assert.equal(cache.isCacheable({ action: 'query', expression: 'Priority where name is "High"' }), true);
+  assert.equal(cache.isCacheable({ action: 'query_schemas' }), true);
+  assert.equal(cache.isCacheable({ action: 'query', expression: 'select id from Task' }), false);
+  assert.equal(new ResponseCache({ ttlSeconds: 0 }).isCacheable(STATUSES), false);
+});
+
+test('writes to an entity type drop its cached lookups', () => {
+  const cache = new ResponseCache();
+  cache.set(STATUSES, { data: [{ id: 's1' }] });
+  cache.set({ action: 'query_schemas' }, { data: [] });
+  cache.invalidateFor([{ action: 'create', entity_type: 'Task' }]);
+  assert.deepEqual(cache.get(STATUSES), { data: [{ id: 's1' }] });
+  cache.invalidateFor([{ action: 'update', entity_type: 'Status' }]);
+  assert.equal(cache.get(STATUSES), undefined);
+  assert.deepEqual(cache.get({ action: 'query_schemas' }), { data: [] });
+});
+
+test('invalidations apply to every cache sharing them', () => {
+  const jane = new ResponseCache();
+  const joe = new ResponseCache({ invalidations: jane.invalidations });
+  const other = new ResponseCache();
+  for (const cache of [jane, joe, other]) {
+    cache.set(STATUSES, { data: [{ id: 's1' }] });
+    cache.set({ action: 'query_schemas' }, { data: [] });
+  }
+  jane.invalidateFor([{ action: 'update', entity_type: 'Status' }]);
+  assert.equal(joe.get(STATUSES), undefined);
+  assert.deepEqual(joe.get({ action: 'query_schemas' }), { data: [] });
+  assert.deepEqual(other.get(STATUSES), { data: [{ id: 's1' }] });
+  // Lookups after the invalidation are cached again
+  joe.set(STATUSES, { data: [{ id: 's2' }] });
+  assert.deepEqual(joe.get(STATUSES), { data: [{ id: 's2' }] });
+  jane.clear();
+  assert.equal(joe.get({ action: 'query_schemas' }), undefined);
+});
+
+test('caches built from the config share invalidations per server', () => {
+  const config = { cache_ttl_seconds: 60, cache_entity_types: ['Status'] };
+  const cache = (serverUrl, apiUser) => ResponseCache.fromConfig(config, { serverUrl, apiUser });
+  assert.equal(cache('https://a.ftrackapp.com', 'jane').invalidations, cache('https://a.ftrackapp.com', 'joe').invalidations);
+  assert.notEqual(cache('https://a.ftrackapp.com', 'jane').invalidations, cache('https://b.ftrackapp.com', 'jane').invalidations);
+});
+
+test('persisted entries are loaded by the next cache', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-cache-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const cache = new ResponseCache({ path: join(dir, 'cache.json') });
+  cache.set(STATUSES, { data: [{ id: 's1' }] });
+  await cache.writes;
+  assert.deepEqual(new ResponseCache({ path: join(dir, 'cache.json') }).get(STATUSES), { data: [{ id: 's1' }] });
+});
+
+test('clients answer cached lookups without a request', async (t) => {
+  const client = new FtrackClient('https://test.ftrackapp.com', 'user', 'key', { maxRetries: 0 });
+  client.useCache(new ResponseCache());
+  const fetch = t.mock.method(globalThis, 'fetch', async () => Response.json([{ action: 'query', data: [{ id: 's1' }] }]));
+  await client.call([STATUSES]);
+  assert.deepEqual(await client.call([STATUSES]), [{ action: 'query', data: [{ id: 's1' }] }]);
+  assert.equal(fetch.mock.callCount(), 1);
+  await client.call([STATUSES], { cache: false });
+  assert.equal(fetch.mock.callCount(), 2);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackValidationError } from '../src/errors.js';
+import { assertEntityType, suggest, validateEntityData, validateOperations, validateProjections } from '../src/schema-validator.js';
+
+const SCHEMAS = {
+  Task: {
+    id: 'Task',
+    primary_key: ['id'],
+    required: ['id', 'name', 'parent_id', 'type_id', 'priority_id'],
+    computed: ['link'],
+    immutable: ['project_id'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      parent_id: { type: 'string' },
+      parent: { $ref: 'TypedContext' },
+      type_id: { type: 'string' },
+      priority_id: { type: 'string', default: 'normal' },
+      project_id: { type: 'string' },
+      bid: { type: 'number' },
+      start_date: { type: 'string', format: 'date-time' },
+      link: { type: 'array' },
+      status: { $ref: 'Status' },
+    },
+  },
+};
+
+const schemaCache = {
+  getSchema: async (entityType) => SCHEMAS[entityType] ?? null,
+  getEntityTypes: async () => Object.keys(SCHEMAS),
+};
+
+test('suggest finds the closest name within the threshold', () => {
+  assert.equal(suggest('stauts', ['status', 'name', 'type']), 'status');
+  assert.equal(suggest('Tsk', ['Task', 'Shot']), 'Task');
+  assert.equal(suggest('completely_different', ['id', 'name']), null);
+});
+
+test('unknown entity types are rejected with a suggestion', async () => {
+  await assert.rejects(assertEntityType(schemaCache, 'Tsak'), (error) => {
+    assert.ok(error instanceof FtrackValidationError);
+    assert.equal(error.issues[0].suggestion, 'Task');
+    return true;
+  });
+});
+
+test('create payloads report every problem at once', async () => {
+  await assert.rejects(
+    validateEntityData(schemaCache, 'Task', { name: 'comp', nmae: 'x', bid: 'a lot', link: [], start_date: 'soon' }, 'create'),
+    (error) => {
+      const messages = error.issues.map((issue) => issue.message);
+      assert.deepEqual(messages, [
+        'Unknown attribute "nmae", did you mean "name"?',
+        'Invalid value for "bid": expected a number',
+        '"link" is computed and cannot be set',
+        'Invalid value for "start_date": expected an ISO 8601 date-time string',
+        'Missing required attribute "parent_id"',
+        'Missing required attribute "type_id"',
+      ]);
+      return true;
+    }
+  );
+});
+
+test('required attributes can be given through their relation', async () => {
+  await validateEntityData(schemaCache, 'Task', {
+    name: 'comp',
+    parent: { id: 'p1' },
+    type_id: 't1',
+    status: { id: 's1' },
+    start_date: { __type__: 'datetime', value: '2024-01-01T00:00:00' },
+  }, 'create');
+});
+
+test('updates may not change immutable attributes but skip required checks', async () => {
+  await validateEntityData(schemaCache, 'Task', { bid: 2 }, 'update');
+  await assert.rejects(
+    validateEntityData(schemaCache, 'Task', { project_id: 'p2' }, 'update'),
+    /cannot be changed after creation/
+  );
+});
+
+test('projections are checked by their first segment', async () => {
+  await validateProjections(schemaCache, 'Task', ['name', 'status.name', 'status.anything.deeper']);
+  await assert.rejects(validateProjections(schemaCache, 'Task', ['stauts.name']), /did you mean "status"/);
+});
+
+test('validateOperations reports the index of the invalid operation', async () => {
+  const operations = [
+    { action: 'query', expression: 'select id from Task' },
+    { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { bid: 1 } },
+    { action: 'update', entity_type: 'Task', entity_key: ['t2'], entity_data: { bid: 'x' } },
+  ];
+  await assert.rejects(validateOperations(schemaCache, operations), (error) => {
+    assert.equal(error.operationIndex, 2);
+    assert.equal(error.operation, operations[2]);
+    return true;
+  });
+});
@@ -0,0 +1,170 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  compareFrames,
+  formatFrameRanges,
+  formatSequence,
+  framePath,
+  isSequencePattern,
+  localFrames,
+  parseFrameRanges,
+  parseSequence,
+  readSequence,
+  scanFrames,
+  sequenceName,
+  uploadSequence,
+  MAX_SEQUENCE_FRAMES,
+} from '../src/sequence.js';
+import { SERVER_LOCATION_ID } from '../src/upload.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+test('frame ranges parse into sorted, unique frames', () => {
+  assert.deepEqual(parseFrameRanges('1005, 1001-1003, 1002'), [1001, 1002, 1003, 1005]);
+  assert.deepEqual(parseFrameRanges('-2--1, 0'), [-2, -1, 0]);
+  assert.throws(() => parseFrameRanges('1001..1003'), /Invalid frame range/);
+  assert.throws(() => parseFrameRanges('1003-1001'), /ends before it starts/);
+  assert.throws(() => parseFrameRanges(`1-${MAX_SEQUENCE_FRAMES + 1}`), /more than/);
+});
+
+test('frames format as collapsed ranges', () => {
+  assert.equal(formatFrameRanges([1004, 1001, 1002, 1003, 1010, 1012, 1011, 1020]), '1001-1004, 1010-1012, 1020');
+  assert.equal(formatFrameRanges([]), '');
+});
+
+test('sequence patterns accept printf and hash padding', () => {
+  assert.deepEqual(parseSequence('/shots/plate.%04d.exr [1001-1003]'), {
+    head: '/shots/plate.',
+    padding: 4,
+    tail: '.exr',
+    frames: [1001, 1002, 1003],
+  });
+  assert.deepEqual(parseSequence('plate_###.dpx'), { head: 'plate_', padding: 3, tail: '.dpx', frames: null });
+  assert.equal(parseSequence('plate.%d.jpg').padding, 0);
+  assert.throws(() => parseSequence('/shots/plate.exr'), /not a sequence pattern/);
+  assert.equal(isSequencePattern('/shots/plate.####.exr'), true);
+  assert.equal(isSequencePattern('/shots/plate.exr'), false);
+});
+
+test('frame paths are padded and patterns round-trip', () => {
+  const sequence = parseSequence('/shots/plate.%04d.exr [1001-1002, 1004]');
+  assert.equal(framePath(sequence, 7), '/shots/plate.0007.exr');
+  assert.equal(framePath(sequence, -7), '/shots/plate.-0007.exr');
+  assert.equal(framePath(sequence, 12345), '/shots/plate.12345.exr');
+  assert.equal(formatSequence(sequence), '/shots/plate.%04d.exr [1001-1002, 1004]');
+  assert.equal(sequenceName(sequence), 'plate');
+  assert.equal(sequenceName(parseSequence('/shots/%04d.exr')), 'shots');
+});
+
+test('compareFrames lists missing and extra frames', () => {
+  assert.deepEqual(compareFrames([1, 2, 3, 4], [2, 4, 5]), { missing: [1, 3], extra: [5] });
+});
+
+test('frames are found on disk', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'ftrack-mcp-sequence-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  for (const name of ['plate.1001.exr', 'plate.1002.exr', 'plate.1004.exr', 'plate.10005.exr', 'plate.01006.exr', 'plate.1001.jpg', 'other.1003.exr']) {
+    await writeFile(join(directory, name), 'x');
+  }
+
+  assert.deepEqual(await scanFrames(parseSequence(join(directory, 'plate.%04d.exr'))), [1001, 1002, 1004, 10005]);
+
+  const { frames, missing } = await localFrames(join(directory, 'plate.%04d.exr [1001-1004]'));
+  assert.deepEqual(frames, [1001, 1002, 1003, 1004]);
+  assert.deepEqual(missing, [1003]);
+  await assert.rejects(readSequence(join(directory, 'plate.%04d.exr [1001-1004]')), /missing on disk: 1003/);
+
+  const { sizes, size } = await readSequence(join(directory, 'plate.%04d.exr [1001-1002]'));
+  assert.deepEqual([...sizes.entries()], [[1001, 1], [1002, 1]]);
+  assert.equal(size, 2);
+
+  await assert.rejects(localFrames(join(directory, 'none.%04d.exr')), /No frames/);
+  await assert.rejects(localFrames(join(directory, 'missing', 'plate.%04d.exr')), /Directory not found/);
+});
+
+test('a pattern without a file name prefix scans the directory itself', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'ftrack-mcp-sequence-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  for (const name of ['0001.exr', '0002.exr', 'notes.txt']) {
+    await writeFile(join(directory, name), 'x');
+  }
+  const { frames, missing } = await localFrames(`${directory}/%04d.exr`);
+  assert.deepEqual(frames, [1, 2]);
+  assert.deepEqual(missing, []);
+});
+
+/**
+ * Write frames 1001-1005 of plate.%04d.exr to a temporary directory
+ */
+async function plateFrames(t) {
+  const directory = await mkdtemp(join(tmpdir(), 'ftrack-mcp-sequence-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  for (let frame = 1001; frame <= 1005; frame++) {
+    await writeFile(join(directory, `plate.${frame}.exr`), 'x');
+  }
+  return join(directory, 'plate.%04d.exr');
+}
+
+/**
+ * Client for an existing container s1 with the given members, of which the
+ * uploaded ones are in the server location; uploads always succeed
+ */
+function sequenceClient(t, { members = [], uploaded = [] } = {}) {
+  t.mock.method(globalThis, 'fetch', async () => new Response(null));
+  return fakeClient({
+    rows: (expression) => {
+      if (expression.includes('from SequenceComponent')) return [{ id: 's1', name: 'plate', file_type: '.exr', padding: 4, size: 5 }];
+      if (expression.includes('from FileComponent')) return members;
+      if (expression.includes('from ComponentLocation')) {
+        const ids = [...expression.matchAll(/"([^"]+)"/g)].map((match) => match[1]).filter((id) => id !== SERVER_LOCATION_ID);
+        return ids.filter((id) => uploaded.includes(id)).map((id) => ({ id: `cl-${id}`, component_id: id }));
+      }
+      return [];
+    },
+    getUploadMetadata: async () => ({ url: 'https://storage/frame', headers: {} }),
+  });
+}
+
+test('sequences are created in batches, the container first', async (t) => {
+  const pattern = await plateFrames(t);
+  const client = sequenceClient(t);
+  let announced = null;
+  const result = await uploadSequence(client, pattern, { chunkSize: 2, onComponent: (id) => { announced = id; } });
+
+  assert.equal(result.frame_count, 5);
+  assert.equal(result.uploaded, 5);
+  assert.equal(announced, result.component_id);
+  const batches = client.sent
+    .map(({ operations }) => operations)
+    .filter((operations) => operations[0].entity_type !== 'ComponentLocation');
+  assert.deepEqual(batches.map((operations) => operations.map(({ entity_type, entity_data }) => `${entity_type} ${entity_data.name}`)), [
+    ['SequenceComponent plate', 'FileComponent 1001'],
+    ['FileComponent 1002', 'FileComponent 1003'],
+    ['FileComponent 1004', 'FileComponent 1005'],
+  ]);
+});
+
+test('resuming creates missing members and uploads frames not stored yet', async (t) => {
+  const pattern = await plateFrames(t);
+  const members = [1001, 1002, 1003].map((frame) => ({ id: `m${frame}`, name: String(frame) }));
+  const client = sequenceClient(t, { members, uploaded: ['m1001', 'm1003'] });
+  const result = await uploadSequence(client, `${pattern} [1001-1005]`, { componentId: 's1' });
+
+  assert.equal(result.resumed, true);
+  assert.equal(result.uploaded, 3);
+  const created = client.sent
+    .flatMap(({ operations }) => operations)
+    .filter((operation) => operation.entity_type === 'FileComponent');
+  assert.deepEqual(created.map(({ entity_data }) => [entity_data.name, entity_data.container_id]), [['1004', 's1'], ['1005', 's1']]);
+  const stored = client.sent
+    .flatMap(({ operations }) => operations)
+    .filter((operation) => operation.entity_type === 'ComponentLocation')
+    .map(({ entity_data }) => entity_data.component_id);
+  assert.deepEqual(stored.sort(), ['m1002', created[0].entity_data.id, created[1].entity_data.id, 's1'].sort());
+  // Existing members are looked up in the server location with one query
+  const lookups = client.expressions.filter((expression) => expression.includes('from ComponentLocation'));
+  assert.match(lookups[0], /component_id in \("m1001", "m1002", "m1003"\)/);
+  assert.equal(lookups.length, 2);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackAuthenticationError } from '../src/errors.js';
+import { SessionAuth } from '../src/session-auth.js';
+
+const TOKENS = { 'secret-token': { api_user: 'jane', api_key: 'jane-key' } };
+
+test('bearer tokens map to their ftrack credentials', () => {
+  const auth = new SessionAuth({ tokens: TOKENS });
+  assert.deepEqual(auth.resolve({ authorization: 'Bearer secret-token' }), { apiUser: 'jane', apiKey: 'jane-key' });
+  assert.throws(() => auth.resolve({ authorization: 'Bearer other' }), FtrackAuthenticationError);
+  assert.throws(() => new SessionAuth({ tokens: { t: { api_user: 'jane' } } }), /needs api_user and api_key/);
+});
+
+test('header credentials need both headers and can be disabled', () => {
+  const headers = { 'x-ftrack-api-user': 'joe', 'x-ftrack-api-key': 'joe-key' };
+  assert.deepEqual(new SessionAuth({ allowHeaderCredentials: true }).resolve(headers), { apiUser: 'joe', apiKey: 'joe-key' });
+  assert.throws(() => new SessionAuth({ allowHeaderCredentials: true }).resolve({ 'x-ftrack-api-user': 'joe' }), /Both/);
+  assert.throws(() => new SessionAuth({ allowHeaderCredentials: false }).resolve(headers), /disabled/);
+});
+
+test('requests without credentials are rejected when authentication is required', () => {
+  assert.equal(new SessionAuth({ requireAuth: false }).resolve({}), null);
+  assert.throws(() => new SessionAuth({ requireAuth: true }).resolve({}), (error) => {
+    assert.ok(error instanceof FtrackAuthenticationError);
+    assert.equal(error.status, 401);
+    return true;
+  });
+});
+
+test('sessions without credentials are only allowed on loopback addresses', () => {
+  const config = (host, requireAuth) => ({ host, header_credentials: true, require_auth: requireAuth });
+  assert.equal(new SessionAuth().requireAuth, true);
+  assert.equal(SessionAuth.fromConfig(config('127.0.0.1', false)).requireAuth, false);
+  assert.equal(SessionAuth.fromConfig(config('localhost', false)).requireAuth, false);
+  assert.equal(SessionAuth.fromConfig(config('0.0.0.0', false)).requireAuth, true);
+  assert.equal(SessionAuth.fromConfig(config('127.0.0.1', true)).requireAuth, true);
+});
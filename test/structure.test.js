@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackValidationError } from '../src/errors.js';
+import { countByType, normalizeSpec, parseSpec, planStructure } from '../src/structure.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+const ROOT = { id: 'proj', path: 'proj' };
+
+// Reference data by entity type
+const TABLES = {
+  ObjectType: [{ id: 'ot1', name: 'Sequence' }, { id: 'ot2', name: 'Shot' }, { id: 'ot3', name: 'Task' }, { id: 'ot4', name: 'Asset Build' }],
+  Type: [{ id: 'ty1', name: 'Compositing' }, { id: 'ty2', name: 'Animation' }],
+  Status: [{ id: 'st1', name: 'Not started' }],
+};
+
+/**
+ * Client answering reference data queries and listing existing children
+ * from a map of parent ID to [{ id, name }]
+ */
+function structureClient(existing = {}) {
+  return fakeClient({
+    rows: (expression) => {
+      const type = /from (\w+)/.exec(expression)[1];
+      if (TABLES[type]) {
+        return TABLES[type];
+      }
+      const parents = [...expression.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+      return parents.flatMap((parentId) => (existing[parentId] ?? []).map((child) => ({ ...child, parent_id: parentId })));
+    },
+  });
+}
+
+test('specs are parsed from YAML or passed through', () => {
+  assert.deepEqual(parseSpec('shots: [sh0100]'), { shots: ['sh0100'] });
+  const spec = { shots: [] };
+  assert.equal(parseSpec(spec), spec);
+  assert.throws(() => parseSpec('shots: [unclosed'), FtrackValidationError);
+});
+
+test('shot lists become sequences, shots and templated tasks', () => {
+  const nodes = normalizeSpec({
+    shots: ['sh0010', { name: 'sh0100', sequence: 'sq01' }, { name: 'sh0200', sequence: 'sq01', tasks: ['anim'] }],
+    shot_tasks: ['comp'],
+    task_templates: { comp: { type: 'Compositing' }, anim: [{ name: 'blocking', type: 'Animation' }, { name: 'polish', type: 'Animation' }] },
+  });
+  const outline = (node) => [node.name, node.object_type, node.type, node.children.map(outline)];
+  assert.deepEqual(nodes.map(outline), [
+    ['sh0010', 'Shot', null, [['comp', 'Task', 'Compositing', []]]],
+    ['sq01', 'Sequence', null, [
+      ['sh0100', 'Shot', null, [['comp', 'Task', 'Compositing', []]]],
+      ['sh0200', 'Shot', null, [['blocking', 'Task', 'Animation', []], ['polish', 'Task', 'Animation', []]]],
+    ]],
+  ]);
+});
+
+test('invalid specs list every problem', () => {
+  assert.throws(() => normalizeSpec({}), /no children or shots/);
+  assert.throws(
+    () => normalizeSpec({ children: [{ object_type: 'Shot' }, { name: 'sq01' }, { name: 'sq02', object_type: 'Sequence', tasks: 'comp' }] }),
+    (error) => {
+      assert.deepEqual(error.issues.map((issue) => issue.attribute), ['children[0].name', 'children[1].object_type', 'children[2].tasks']);
+      return true;
+    }
+  );
+});
+
+test('existing entities are skipped and their children planned below them', async () => {
+  const client = structureClient({ proj: [{ id: 'sq01-id', name: 'SQ01' }], 'sq01-id': [{ id: 'sh0100-id', name: 'sh0100' }] });
+  const nodes = normalizeSpec({
+    children: [{
+      name: 'sq01',
+      object_type: 'Sequence',
+      children: [
+        { name: 'sh0100', object_type: 'Shot', tasks: [{ name: 'comp', type: 'compositing', status: 'not started' }] },
+        { name: 'sh0200', object_type: 'Shot', tasks: [{ name: 'comp', type: 'Compositing' }] },
+      ],
+    }, { name: 'hero', object_type: 'asset build' }],
+  });
+  const plan = await planStructure(client, ROOT, nodes);
+
+  assert.deepEqual(plan.skipped.map(({ path }) => path), ['proj/sq01', 'proj/sq01/sh0100']);
+  assert.deepEqual(plan.created.map(({ path, entity_type }) => [path, entity_type]), [
+    ['proj/hero', 'AssetBuild'],
+    ['proj/sq01/sh0200', 'Shot'],
+    ['proj/sq01/sh0100/comp', 'Task'],
+    ['proj/sq01/sh0200/comp', 'Task'],
+  ]);
+  // Parents are created before their children, with the planned IDs
+  const [, shot, existingShotTask, newShotTask] = plan.operations;
+  assert.equal(shot.entity_data.parent_id, 'sq01-id');
+  assert.deepEqual(existingShotTask.entity_data, {
+    id: existingShotTask.entity_data.id,
+    name: 'comp',
+    parent_id: 'sh0100-id',
+    type_id: 'ty1',
+    status_id: 'st1',
+  });
+  assert.equal(newShotTask.entity_data.parent_id, shot.entity_data.id);
+  assert.deepEqual(countByType(plan.created), { AssetBuild: 1, Shot: 1, Task: 2 });
+});
+
+test('unknown names and duplicates are reported', async () => {
+  await assert.rejects(
+    planStructure(structureClient(), ROOT, normalizeSpec({ children: [{ name: 'sh0100', object_type: 'Shoot', tasks: [{ name: 'comp', type: 'Compositin' }] }] })),
+    (error) => {
+      assert.deepEqual(error.issues.map((issue) => issue.suggestion), ['Shot', 'Compositing']);
+      return true;
+    }
+  );
+  await assert.rejects(
+    planStructure(structureClient(), ROOT, normalizeSpec({ shots: ['sh0100', 'SH0100'] })),
+    /appears more than once/
+  );
+});
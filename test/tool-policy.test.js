@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolPolicy } from '../src/tool-policy.js';
+
+test('profiles enable tools by category', () => {
+  const readOnly = new ToolPolicy({ profile: 'read-only' });
+  assert.equal(readOnly.isEnabled('ftrack_query'), true);
+  assert.equal(readOnly.isEnabled('ftrack_update'), false);
+  assert.equal(readOnly.isEnabled('ftrack_download_component'), false);
+  assert.equal(new ToolPolicy({ profile: 'production' }).isEnabled('ftrack_disable_2fa'), false);
+  assert.throws(() => new ToolPolicy({ profile: 'everything' }), /Unknown tool profile/);
+});
+
+test('allow lists narrow the profile and deny lists win', () => {
+  const policy = new ToolPolicy({ profile: 'production', allow: 'ftrack_list_*, ftrack_update, ftrack_disable_2fa', deny: ['ftrack_list_users'] });
+  assert.equal(policy.isEnabled('ftrack_list_projects'), true);
+  assert.equal(policy.isEnabled('ftrack_update'), true);
+  assert.equal(policy.isEnabled('ftrack_list_users'), false);
+  assert.equal(policy.isEnabled('ftrack_create'), false);
+  // The allow list cannot add tools outside the profile
+  assert.equal(policy.isEnabled('ftrack_disable_2fa'), false);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildUndo, findConflicts } from '../src/undo.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+test('undo reverts updates and creates in reverse order', () => {
+  const operations = [
+    { action: 'create', entity_type: 'Note', entity_data: { content: 'hi' } },
+    { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { status_id: 's2', name: 'comp' } },
+    { action: 'delete', entity_type: 'Shot', entity_key: ['sh1'] },
+  ];
+  const results = [{ data: { id: 'n1' } }, { data: {} }, { data: true }];
+  const previous = [null, { status_id: 's1', name: 'comp', bid: 3 }, { id: 'sh1', name: 'sh0100' }];
+
+  const { undo, irreversible } = buildUndo(operations, results, previous);
+  assert.deepEqual(undo, [
+    { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { status_id: 's1', name: 'comp' } },
+    { action: 'delete', entity_type: 'Note', entity_key: ['n1'] },
+  ]);
+  assert.deepEqual(irreversible, [{ action: 'delete', entity_type: 'Shot', entity_key: ['sh1'] }]);
+});
+
+test('updates without captured values cannot be undone', () => {
+  const { undo, irreversible } = buildUndo(
+    [{ action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { bid: 2 } }],
+    [{ data: {} }],
+    [null]
+  );
+  assert.deepEqual(undo, []);
+  assert.equal(irreversible.length, 1);
+});
+
+test('conflicts list values changed since and created entities that are gone', async () => {
+  const entry = {
+    operations: [
+      { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { status_id: 's2', bid: 2 } },
+      { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { bid: 3 } },
+      { action: 'update', entity_type: 'Task', entity_key: ['t2'], entity_data: { start_date: '2024-01-01T00:00:00Z' } },
+      { action: 'create', entity_type: 'Note', entity_data: { content: 'hi' } },
+    ],
+    undo: [
+      { action: 'delete', entity_type: 'Note', entity_key: ['n1'] },
+      { action: 'update', entity_type: 'Task', entity_key: ['t2'], entity_data: { start_date: null } },
+      { action: 'update', entity_type: 'Task', entity_key: ['t1'], entity_data: { status_id: 's1', bid: 1 } },
+    ],
+  };
+  const client = fakeClient({
+    rows: {
+      'select start_date from Task where id is "t2"': [{ start_date: { __type__: 'datetime', value: '2024-01-01T00:00:00+00:00' } }],
+      'select status_id, bid from Task where id is "t1"': [{ status_id: 's3', bid: 3 }],
+    },
+  });
+  assert.deepEqual(await findConflicts(client, entry), [
+    { entity_type: 'Note', entity_key: ['n1'], attribute: null, expected: 'exists', current: null },
+    { entity_type: 'Task', entity_key: ['t1'], attribute: 'status_id', expected: 's2', current: 's3' },
+  ]);
+});
+
+test('conflicts are matched by the whole composite key', async () => {
+  const schemas = { getSchema: async () => ({ primary_key: ['configuration_id', 'entity_id'] }) };
+  const entry = {
+    operations: [
+      { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e1'], entity_data: { value: 4 } },
+      { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e2'], entity_data: { value: 5 } },
+    ],
+    undo: [
+      { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e2'], entity_data: { value: 0 } },
+      { action: 'update', entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e1'], entity_data: { value: 0 } },
+    ],
+  };
+  const client = fakeClient({
+    rows: {
+      'select value from CustomAttributeValue where configuration_id is "c1" and entity_id is "e1"': [{ value: 4 }],
+      'select value from CustomAttributeValue where configuration_id is "c1" and entity_id is "e2"': [{ value: 6 }],
+    },
+    schemas,
+  });
+  assert.deepEqual(await findConflicts(client, entry), [
+    { entity_type: 'CustomAttributeValue', entity_key: ['c1', 'e2'], attribute: 'value', expected: 5, current: 6 },
+  ]);
+});
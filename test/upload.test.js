@@ -0,0 +1,137 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SERVER_LOCATION_ID, componentsInServerLocation, uploadFile } from '../src/upload.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+/**
+ * Write a local file with the given contents to a temporary directory
+ */
+async function localFile(t, contents) {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-upload-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'plate.exr');
+  await writeFile(path, contents);
+  return path;
+}
+
+/**
+ * Client handing out upload metadata with the given number of parts
+ * (0 for a single URL), with the bytes PUT to each URL in uploads
+ */
+function uploadClient(t, { parts = 0, rows = {}, failUrl = null, failures = 0 } = {}) {
+  const uploads = new Map();
+  let failed = 0;
+  t.mock.method(globalThis, 'fetch', async (url, { method, headers, body }) => {
+    assert.equal(method, 'PUT');
+    const sent = Buffer.from(await new Response(body).arrayBuffer());
+    assert.equal(headers['content-length'], String(sent.length));
+    if (failed++ < failures) {
+      return new Response('busy', { status: 503 });
+    }
+    uploads.set(url, sent.toString());
+    return url === failUrl ? new Response('denied', { status: 403 }) : new Response(null, { headers: { etag: `"etag-${url}"` } });
+  });
+  const client = fakeClient({
+    rows,
+    getUploadMetadata: async () => (parts === 0
+      ? { url: 'https://storage/single', headers: { 'Content-Type': 'application/octet-stream' } }
+      : {
+        upload_id: 'upload-1',
+        urls: Array.from({ length: parts }, (_, i) => ({ part_number: parts - i, signed_url: `https://storage/part-${parts - i}` })),
+      }),
+    completeMultipartUpload: async (componentId, uploadId, completed) => {
+      client.completed = { componentId, uploadId, parts: completed };
+    },
+  });
+  return { client, uploads };
+}
+
+test('small files are uploaded with one request and registered in the server location', async (t) => {
+  const path = await localFile(t, 'pixels');
+  const { client, uploads } = uploadClient(t);
+  const progress = [];
+  const result = await uploadFile(client, path, { onProgress: (sent, size) => progress.push([sent, size]) });
+
+  assert.equal(result.name, 'plate');
+  assert.equal(result.file_type, '.exr');
+  assert.equal(result.size, 6);
+  assert.equal(result.multipart, false);
+  assert.deepEqual([...uploads], [['https://storage/single', 'pixels']]);
+  assert.deepEqual(progress, [[6, 6]]);
+  const [component, location] = client.sent.map(({ operations }) => operations[0]);
+  assert.deepEqual(component.entity_data, { id: result.component_id, name: 'plate', file_type: '.exr', size: 6 });
+  assert.equal(location.entity_type, 'ComponentLocation');
+  assert.equal(location.entity_data.location_id, SERVER_LOCATION_ID);
+});
+
+test('retried uploads send the whole file again', async (t) => {
+  const path = await localFile(t, 'pixels');
+  const { client, uploads } = uploadClient(t, { failures: 1 });
+  client.maxRetries = 1;
+  await uploadFile(client, path);
+  assert.deepEqual([...uploads], [['https://storage/single', 'pixels']]);
+});
+
+test('empty files are uploaded too', async (t) => {
+  const path = await localFile(t, '');
+  const { client, uploads } = uploadClient(t);
+  await uploadFile(client, path);
+  assert.deepEqual([...uploads], [['https://storage/single', '']]);
+});
+
+test('multipart uploads send every part and complete them in order', async (t) => {
+  const path = await localFile(t, 'abcdefghij');
+  const { client, uploads } = uploadClient(t, { parts: 3 });
+  const result = await uploadFile(client, path, { concurrency: 2 });
+
+  assert.equal(result.multipart, true);
+  assert.equal(uploads.get('https://storage/part-1'), 'abcd');
+  assert.equal(uploads.get('https://storage/part-2'), 'efgh');
+  assert.equal(uploads.get('https://storage/part-3'), 'ij');
+  assert.deepEqual(client.completed.parts.map(({ part_number, e_tag }) => [part_number, e_tag]), [
+    [1, 'etag-https://storage/part-1'],
+    [2, 'etag-https://storage/part-2'],
+    [3, 'etag-https://storage/part-3'],
+  ]);
+});
+
+test('a failed part fails the upload without completing it', async (t) => {
+  const path = await localFile(t, 'abcdefghij');
+  const { client } = uploadClient(t, { parts: 3, failUrl: 'https://storage/part-2' });
+  await assert.rejects(uploadFile(client, path), { status: 403 });
+  assert.equal(client.completed, undefined);
+});
+
+test('resuming skips components already in the server location', async (t) => {
+  const path = await localFile(t, 'pixels');
+  const { client, uploads } = uploadClient(t, {
+    rows: { [`select id from ComponentLocation where component_id is "c1" and location_id is "${SERVER_LOCATION_ID}"`]: [{ id: 'cl1' }] },
+  });
+  const result = await uploadFile(client, path, { componentId: 'c1' });
+  assert.equal(result.already_uploaded, true);
+  assert.equal(result.resumed, true);
+  assert.equal(uploads.size, 0);
+  assert.deepEqual(client.sent, []);
+});
+
+test('dry runs upload nothing', async (t) => {
+  const path = await localFile(t, 'pixels');
+  const { client, uploads } = uploadClient(t);
+  client.dryRun = true;
+  const result = await uploadFile(client, path);
+  assert.equal(result.dry_run, true);
+  assert.equal(uploads.size, 0);
+});
+
+test('stored components are looked up in chunks', async () => {
+  const ids = Array.from({ length: 150 }, (_, i) => `c${i}`);
+  const client = fakeClient({
+    rows: (expression) => (expression.includes('"c0"') ? [{ component_id: 'c0' }] : [{ component_id: 'c149' }]),
+  });
+  assert.deepEqual([...await componentsInServerLocation(client, ids)], ['c0', 'c149']);
+  assert.equal(client.expressions.length, 2);
+  assert.match(client.expressions[1], /^select component_id from ComponentLocation where component_id in \("c100", .*"c149"\) and location_id is ".+" limit 50$/);
+});
@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FtrackNotFoundError, FtrackValidationError } from '../src/errors.js';
+import { allowedTaskStatuses, assertTaskStatusAllowed } from '../src/workflow.js';
+import { fakeClient } from './helpers/fake-client.js';
+
+const link = (...names) => names.map((name) => ({ id: name, name, type: 'TypedContext' }));
+
+const TASKS = [
+  { id: 't1', name: 'comp', link: link('proj', 'sh0100', 'comp'), type_id: 'ty-comp', type: { name: 'Compositing' }, project: { project_schema_id: 'ps1' } },
+  { id: 't2', name: 'anim', link: link('proj', 'sh0100', 'anim'), type_id: 'ty-anim', type: { name: 'Animation' }, project: { project_schema_id: 'ps1' } },
+];
+
+const SCHEMA = {
+  id: 'ps1',
+  name: 'VFX',
+  _task_workflow: { statuses: [{ id: 'st-wip', name: 'In Progress' }, { id: 'st-done', name: 'Approved' }] },
+  _overrides: [{ type_id: 'ty-anim', workflow_schema: { statuses: [{ id: 'st-wip', name: 'In Progress' }, { id: 'st-block', name: 'Blocking' }] } }],
+};
+
+const workflowClient = () => fakeClient({ rows: (expression) => (expression.includes('from Task') ? TASKS : [SCHEMA]) });
+
+test('task types with an override use its workflow', async () => {
+  const allowed = await allowedTaskStatuses(workflowClient(), ['t1', 't2', 't1']);
+  assert.deepEqual(allowed.get('t1').statuses.map(({ name }) => name), ['In Progress', 'Approved']);
+  assert.deepEqual(allowed.get('t2').statuses.map(({ name }) => name), ['In Progress', 'Blocking']);
+  await assert.rejects(allowedTaskStatuses(workflowClient(), ['t1', 't3']), FtrackNotFoundError);
+});
+
+test('statuses outside a task workflow are rejected per task', async () => {
+  await assertTaskStatusAllowed(workflowClient(), ['t1', 't2'], 'st-wip', 'In Progress');
+  await assert.rejects(assertTaskStatusAllowed(workflowClient(), ['t1', 't2'], 'st-done', 'Approved'), (error) => {
+    assert.ok(error instanceof FtrackValidationError);
+    assert.equal(error.message, 'Status "Approved" is not allowed for 1 of 2 task(s)');
+    assert.equal(error.issues[0].task_id, 't2');
+    assert.match(error.issues[0].message, /Animation workflow of "proj\/sh0100\/anim" \(schema VFX\); allowed: In Progress, Blocking/);
+    return true;
+  });
+});
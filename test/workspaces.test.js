@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { WorkspaceRegistry } from '../src/workspaces.js';
+
+const WORKSPACES = {
+  production: { server: 'https://prod.ftrackapp.com', api_user: 'bot', api_key: 'prod-key', description: 'Live site' },
+  sandbox: { server: 'https://sandbox.ftrackapp.com', api_user: 'bot', api_key_env: 'TEST_SANDBOX_API_KEY' },
+};
+
+test('workspaces from the config file get their own clients', (t) => {
+  process.env.TEST_SANDBOX_API_KEY = 'sandbox-key';
+  t.after(() => delete process.env.TEST_SANDBOX_API_KEY);
+  const workspaces = WorkspaceRegistry.fromConfig({ workspaces: WORKSPACES, default_workspace: 'sandbox' });
+
+  assert.deepEqual(workspaces.names, ['production', 'sandbox']);
+  assert.equal(workspaces.get().name, 'sandbox');
+  assert.equal(workspaces.get('production').client.apiKey, 'prod-key');
+  assert.equal(workspaces.get('sandbox').client.apiKey, 'sandbox-key');
+  assert.notEqual(workspaces.get('production').schemaCache, workspaces.get('sandbox').schemaCache);
+  assert.throws(() => workspaces.get('staging'), /Unknown workspace "staging". Available workspaces: production, sandbox/);
+  // Listings leave out the credentials
+  assert.deepEqual(workspaces.list()[0], {
+    name: 'production',
+    server: 'https://prod.ftrackapp.com',
+    api_user: 'bot',
+    description: 'Live site',
+    default: false,
+  });
+});
+
+test('workspaces are read from a workspaces file, defaulting to the first', async (t) => {
+  const dir = await mkdtemp(join(tmpdir(), 'ftrack-mcp-workspaces-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  const path = join(dir, 'workspaces.json');
+  await writeFile(path, JSON.stringify({ workspaces: { production: WORKSPACES.production } }));
+  assert.equal(WorkspaceRegistry.fromConfig({ workspaces_file: path }).default.name, 'production');
+});
+
+test('incomplete definitions name what is missing', () => {
+  delete process.env.TEST_SANDBOX_API_KEY;
+  assert.throws(
+    () => WorkspaceRegistry.fromConfig({ workspaces: { sandbox: WORKSPACES.sandbox } }),
+    /Workspace "sandbox" is missing api_key \(TEST_SANDBOX_API_KEY is not set\)/
+  );
+  assert.throws(() => WorkspaceRegistry.fromConfig({ workspaces: { production: WORKSPACES.production }, default_workspace: 'staging' }), /Default workspace "staging"/);
+});